@@ -1,28 +1,152 @@
 // Backpressure-First Principle (BFP) — Correct Implementation
 // Goal: Prevent overload by applying flow control at every boundary. Prefer bounded queues,
 // explicit load shedding, rate limiting, max concurrency, and timeouts/cancellation.
+//
+// - Queueing: a multi-class bounded queue with weighted-fair dequeue, priority eviction and per-job deadlines
+// - Ingress: token bucket, sliding-window log or GCRA, over an in-memory store or a file-backed store
+//   shared across processes (`--cluster`)
+// - Concurrency: a fixed semaphore or an adaptive limiter driven by AIMD or gradient limit algorithms
+// - The overload scenario fills the queue and checks eviction, rejection and deadline expiry
 
-// Simple token-bucket rate limiter
-class TokenBucket {
-  constructor({ ratePerSec, burst }) {
-    this.rate = ratePerSec;
-    this.capacity = burst;
-    this.tokens = burst;
-    this.lastRefill = Date.now();
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { fork } = require('child_process');
+
+// Rate-limit algorithms are pure (state, now, config) -> { state, allowed } functions, so any store
+// that can apply them atomically can share a limit between processes.
+const RATE_LIMIT_ALGORITHMS = {
+  // Classic token bucket: refill continuously at ratePerSec, allow bursts up to `burst`
+  tokenBucket: {
+    take(state, now, { ratePerSec, burst }) {
+      const tokens = this.remaining(state, now, { ratePerSec, burst });
+      if (tokens < 1) return { state: { tokens, lastRefill: now }, allowed: false };
+      return { state: { tokens: tokens - 1, lastRefill: now }, allowed: true };
+    },
+    remaining(state, now, { ratePerSec, burst }) {
+      if (!state) return burst;
+      const delta = Math.max(0, now - state.lastRefill);
+      return Math.min(burst, state.tokens + (delta / 1000) * ratePerSec);
+    },
+  },
+  // Exact sliding window: keep the timestamps of allowed requests within the last windowMs
+  slidingWindowLog: {
+    take(state, now, { limit, windowMs }) {
+      const log = (state?.log || []).filter(ts => ts > now - windowMs);
+      if (log.length >= limit) return { state: { log }, allowed: false };
+      return { state: { log: [...log, now] }, allowed: true };
+    },
+    remaining(state, now, { limit, windowMs }) {
+      return limit - (state?.log || []).filter(ts => ts > now - windowMs).length;
+    },
+  },
+  // Generic cell rate algorithm: a single "theoretical arrival time" replaces the token count
+  gcra: {
+    take(state, now, { ratePerSec, burst }) {
+      const interval = 1000 / ratePerSec;
+      const tat = Math.max(state?.tat ?? now, now) + interval;
+      if (tat - now > interval * burst) return { state: state || { tat: now }, allowed: false };
+      return { state: { tat }, allowed: true };
+    },
+    remaining(state, now, { ratePerSec, burst }) {
+      const interval = 1000 / ratePerSec;
+      const backlog = Math.max(0, (state?.tat ?? now) - now);
+      return Math.max(0, burst - backlog / interval);
+    },
+  },
+};
+
+// Storage adapters expose get(key) and update(key, fn), where update applies fn atomically.
+// In-memory: atomic by virtue of the single-threaded event loop; the limit is per process.
+class InMemoryRateLimitStore {
+  constructor() {
+    this.states = new Map();
   }
-  allow() {
-    const now = Date.now();
-    const delta = Math.max(0, now - this.lastRefill);
-    const toAdd = (delta / 1000) * this.rate;
-    if (toAdd >= 1) {
-      this.tokens = Math.min(this.capacity, this.tokens + toAdd);
-      this.lastRefill = now;
+  get(key) {
+    return this.states.get(key);
+  }
+  update(key, fn) {
+    const { state, ...result } = fn(this.states.get(key));
+    this.states.set(key, state);
+    return result;
+  }
+}
+
+// Local file backend shared by every process on the host. An exclusive lock file serializes
+// read-modify-write cycles; state is replaced via rename so readers never see a partial write.
+// A lock older than staleLockMs is taken to be left by a crashed holder and reclaimed, which has to
+// happen well inside lockTimeoutMs or one dead process would stall every caller until it expires.
+class FileRateLimitStore {
+  constructor({ filePath, lockTimeoutMs = 1000, staleLockMs = 250 }) {
+    if (staleLockMs >= lockTimeoutMs) throw new Error('staleLockMs must be shorter than lockTimeoutMs');
+    this.filePath = filePath;
+    this.lockPath = filePath + '.lock';
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.staleLockMs = staleLockMs;
+  }
+  get(key) {
+    return this.#read()[key];
+  }
+  async update(key, fn) {
+    await this.#lock();
+    try {
+      const all = this.#read();
+      const { state, ...result } = fn(all[key]);
+      all[key] = state;
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(all));
+      fs.renameSync(tmpPath, this.filePath);
+      return result;
+    } finally {
+      fs.rmSync(this.lockPath, { force: true });
     }
-    if (this.tokens >= 1) {
-      this.tokens -= 1;
-      return true;
+  }
+  #read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+  async #lock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(this.lockPath, 'wx'));
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      // A crashed holder leaves its lock behind; reclaim it once it is clearly abandoned
+      try {
+        if (Date.now() - fs.statSync(this.lockPath).mtimeMs > this.staleLockMs) fs.rmSync(this.lockPath, { force: true });
+      } catch { /* lock released between attempts */ }
+      if (Date.now() > deadline) throw new Error('RATE_LIMIT_STORE_LOCK_TIMEOUT');
+      await new Promise(resolve => setTimeout(resolve, 1)); // back off without blocking the event loop
     }
-    return false;
+  }
+}
+
+// Rate limiter with a pluggable algorithm and state store. With the default in-memory store it
+// behaves like a plain per-process token bucket; share a FileRateLimitStore for a host-wide limit.
+// allow() is async because a shared store may have to wait for its lock.
+class TokenBucket {
+  constructor({ ratePerSec, burst, algorithm = 'tokenBucket', limit = ratePerSec, windowMs = 1000, store = new InMemoryRateLimitStore(), key = 'default' }) {
+    if (!RATE_LIMIT_ALGORITHMS[algorithm]) throw new Error(`Unknown rate-limit algorithm: ${algorithm}`);
+    this.algorithm = RATE_LIMIT_ALGORITHMS[algorithm];
+    this.config = { ratePerSec, burst, limit, windowMs };
+    this.store = store;
+    this.key = key;
+  }
+  async allow() {
+    const now = Date.now();
+    const { allowed } = await this.store.update(this.key, state => this.algorithm.take(state, now, this.config));
+    return allowed;
+  }
+  // Approximate remaining capacity, for observability only
+  get tokens() {
+    return this.algorithm.remaining(this.store.get(this.key), Date.now(), this.config);
   }
 }
 
@@ -45,6 +169,75 @@ class BoundedQueue {
   }
 }
 
+// Multi-class bounded queue: per-class capacity, weighted-fair dequeue and priority-based eviction.
+// Lower `priority` numbers are more important. When the queue is full, an incoming item evicts the oldest
+// item of the least important non-empty class below it; if there is none, the incoming item is rejected.
+// Items without a priorityClass (e.g. plain functions) go to `defaultClass`, the least important class unless set.
+class PriorityBoundedQueue {
+  constructor({ capacity, classes, onEvict, defaultClass }) {
+    this.capacity = capacity;
+    this.onEvict = onEvict;
+    this.total = 0;
+    this.classes = new Map(
+      Object.entries(classes).map(([name, { priority, weight = 1, capacity: classCapacity = capacity }]) =>
+        [name, { name, priority, weight, capacity: classCapacity, items: [], currentWeight: 0 }])
+    );
+    this.defaultClass = defaultClass ?? [...this.classes.values()].sort((a, b) => b.priority - a.priority)[0]?.name;
+  }
+  offer(item) {
+    const cls = this.classes.get(item.priorityClass ?? this.defaultClass);
+    if (!cls) throw new Error(`Unknown priority class: ${item.priorityClass}`);
+    if (cls.items.length >= cls.capacity) return false;
+    if (this.total >= this.capacity && !this.#evictBelow(cls.priority)) return false;
+    cls.items.push(item);
+    this.total++;
+    return true;
+  }
+  // Smooth weighted round-robin across non-empty classes, so bulk work still progresses under interactive load
+  poll() {
+    const active = [...this.classes.values()].filter(c => c.items.length > 0);
+    if (active.length === 0) return undefined;
+    let chosen = active[0];
+    let totalWeight = 0;
+    for (const cls of active) {
+      cls.currentWeight += cls.weight;
+      totalWeight += cls.weight;
+      if (cls.currentWeight > chosen.currentWeight) chosen = cls;
+    }
+    chosen.currentWeight -= totalWeight;
+    this.total--;
+    const item = chosen.items.shift();
+    this.#resetIfEmpty(chosen);
+    return item;
+  }
+  size() {
+    return this.total;
+  }
+  sizes() {
+    return Object.fromEntries([...this.classes.values()].map(c => [c.name, c.items.length]));
+  }
+  #evictBelow(priority) {
+    const victim = [...this.classes.values()]
+      .filter(c => c.priority > priority && c.items.length > 0)
+      .sort((a, b) => b.priority - a.priority)[0];
+    if (!victim) return false;
+    const evicted = victim.items.shift();
+    this.total--;
+    this.#resetIfEmpty(victim);
+    this.onEvict?.(evicted, victim.name);
+    return true;
+  }
+  // A class that drained starts over when it returns, instead of carrying credit or debt from its last busy period
+  #resetIfEmpty(cls) {
+    if (cls.items.length === 0) cls.currentWeight = 0;
+  }
+}
+
+// A unit of queued work. The absolute deadline travels with the job so stale work is never started.
+function createJob(run, { priorityClass = 'bulk', deadline } = {}) {
+  return { run, priorityClass, deadline };
+}
+
 // Semaphore to limit concurrent tasks
 class Semaphore {
   constructor(max) {
@@ -69,6 +262,108 @@ class Semaphore {
   }
 }
 
+// Adaptive concurrency: instead of a fixed permit count, derive the limit from observed latency.
+// Limit algorithms are pure functions of the latest sample so they can be swapped and tested in isolation.
+
+// Additive-increase/multiplicative-decrease: grow by one while healthy, back off sharply on timeouts or slow tasks
+class AIMDLimit {
+  constructor({ initialLimit = 10, minLimit = 1, maxLimit = 200, backoffRatio = 0.9, latencyThresholdMs = Infinity } = {}) {
+    this.initialLimit = initialLimit;
+    this.minLimit = minLimit;
+    this.maxLimit = maxLimit;
+    this.backoffRatio = backoffRatio;
+    this.latencyThresholdMs = latencyThresholdMs;
+  }
+  update({ rttMs, didDrop, inFlight, limit }) {
+    if (didDrop || rttMs > this.latencyThresholdMs) {
+      return Math.max(this.minLimit, limit * this.backoffRatio);
+    }
+    // Only grow when the current limit is actually being used; an idle system should not inflate it
+    if (inFlight * 2 >= limit) return Math.min(this.maxLimit, limit + 1);
+    return limit;
+  }
+}
+
+// Vegas/gradient style: compare the long-term latency baseline with recent latency.
+// When tasks start queueing, recent RTT rises above the baseline and the gradient pulls the limit down;
+// while they match, the limit grows by a small queue allowance.
+class GradientLimit {
+  constructor({ initialLimit = 10, minLimit = 1, maxLimit = 200, smoothing = 0.2, tolerance = 1.5, queueSize = limit => Math.sqrt(limit) } = {}) {
+    this.initialLimit = initialLimit;
+    this.minLimit = minLimit;
+    this.maxLimit = maxLimit;
+    this.smoothing = smoothing;
+    this.tolerance = tolerance;
+    this.queueSize = queueSize;
+  }
+  update({ didDrop, longRttMs, smoothedRttMs, limit }) {
+    if (didDrop) return Math.max(this.minLimit, limit / 2);
+    const gradient = Math.max(0.5, Math.min(1, (this.tolerance * longRttMs) / Math.max(smoothedRttMs, 1e-3)));
+    const target = limit * gradient + this.queueSize(limit);
+    const next = limit * (1 - this.smoothing) + target * this.smoothing;
+    return Math.max(this.minLimit, Math.min(this.maxLimit, next));
+  }
+}
+
+// Semaphore-compatible limiter (acquire/release/current/max) whose permit count follows a limit algorithm
+class AdaptiveConcurrencyLimiter {
+  constructor({ algorithm = new AIMDLimit(), rttSmoothing = 0.1, longRttSmoothing = 0.01 } = {}) {
+    this.algorithm = algorithm;
+    this.limit = algorithm.initialLimit;
+    this.current = 0;
+    this.waiters = [];
+    this.rttSmoothing = rttSmoothing;
+    this.longRttSmoothing = longRttSmoothing;
+    this.smoothedRttMs = 0;
+    this.longRttMs = 0;
+  }
+  get max() {
+    return Math.max(1, Math.floor(this.limit));
+  }
+  get maxLimit() {
+    return this.algorithm.maxLimit;
+  }
+  // Estimated extra wait caused by queueing: recent latency above the long-term baseline
+  get queueingDelayMs() {
+    return Math.max(0, this.smoothedRttMs - this.longRttMs);
+  }
+  async acquire() {
+    if (this.current < this.max) {
+      this.current++;
+      return;
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+  release() {
+    this.current = Math.max(0, this.current - 1);
+    this.#drain();
+  }
+  // Feed one completed (or timed out) task back into the limit algorithm
+  onSample(rttMs, didDrop = false) {
+    // Timed-out samples only measure the timeout itself, so they are kept out of the latency averages
+    if (!didDrop) {
+      this.smoothedRttMs = this.smoothedRttMs === 0 ? rttMs : this.smoothedRttMs + this.rttSmoothing * (rttMs - this.smoothedRttMs);
+      this.longRttMs = this.longRttMs === 0 ? rttMs : this.longRttMs + this.longRttSmoothing * (rttMs - this.longRttMs);
+    }
+    this.limit = this.algorithm.update({
+      rttMs,
+      didDrop,
+      inFlight: this.current,
+      limit: this.limit,
+      smoothedRttMs: this.smoothedRttMs || rttMs,
+      longRttMs: this.longRttMs || rttMs,
+    });
+    this.#drain();
+  }
+  #drain() {
+    // A shrinking limit simply stops handing out permits until in-flight work drops below it
+    while (this.waiters.length > 0 && this.current < this.max) {
+      this.current++;
+      this.waiters.shift()();
+    }
+  }
+}
+
 // Helper: wrap a promise with a timeout to prevent long tail buildup
 function withTimeout(promiseFactory, ms, onTimeout) {
   let timer;
@@ -84,16 +379,19 @@ function withTimeout(promiseFactory, ms, onTimeout) {
   });
 }
 
-// Simulated bounded worker with explicit backpressure and shedding
+// Simulated bounded worker with explicit backpressure and shedding.
+// Pass either a fixed maxConcurrency or an adaptive limiter that learns the limit from task latency.
+// Jobs are plain functions or createJob() envelopes; envelopes whose deadline has passed are dropped unrun.
 class Worker {
-  constructor({ queue, maxConcurrency, taskTimeoutMs }) {
+  constructor({ queue, maxConcurrency, limiter, taskTimeoutMs }) {
     this.queue = queue;
-    this.sem = new Semaphore(maxConcurrency);
+    this.sem = limiter || new Semaphore(maxConcurrency);
     this.taskTimeoutMs = taskTimeoutMs;
     this.running = false;
     this.completed = 0;
     this.failed = 0;
     this.timedOut = 0;
+    this.expired = 0;
   }
 
   start() {
@@ -102,24 +400,39 @@ class Worker {
 
     const pump = async () => {
       if (!this.running) return;
-      const job = this.queue.poll();
-      if (job) {
-        await this.sem.acquire();
-        withTimeout(() => job(), this.taskTimeoutMs, () => this.timedOut++)
-          .then(() => this.completed++)
-          .catch(() => this.failed++)
-          .finally(() => {
-            this.sem.release();
-            setImmediate(pump);
-          });
-      } else {
-        // No work — poll again soon
-        setTimeout(pump, 1);
+      // Take a permit before taking a job: jobs stay in the bounded queue, where capacity,
+      // rejection, priority eviction and deadlines apply, until there is capacity to run them
+      await this.sem.acquire();
+      const job = this.running ? this.queue.poll() : undefined;
+      if (!job) {
+        // No work — give the permit back and poll again soon
+        this.sem.release();
+        if (this.running) setTimeout(pump, 1);
+        return;
+      }
+      const { run, deadline = Infinity } = typeof job === 'function' ? { run: job } : job;
+      const startedAt = Date.now();
+      if (startedAt >= deadline) {
+        this.expired++;
+        this.sem.release();
+        setImmediate(pump);
+        return;
       }
+      // Propagate the deadline: never wait longer than the caller is still willing to
+      const timeoutMs = Math.min(this.taskTimeoutMs, deadline - startedAt);
+      let didTimeout = false;
+      withTimeout(() => run({ deadline }), timeoutMs, () => { didTimeout = true; this.timedOut++; })
+        .then(() => this.completed++)
+        .catch(() => this.failed++)
+        .finally(() => {
+          this.sem.onSample?.(Date.now() - startedAt, didTimeout);
+          this.sem.release();
+          setImmediate(pump);
+        });
     };
 
-    // Start a few pump loops to utilize concurrency
-    for (let i = 0; i < Math.max(1, this.sem.max); i++) setImmediate(pump);
+    // Start enough pump loops to utilize the highest concurrency the limiter may grant
+    for (let i = 0; i < Math.max(1, this.sem.maxLimit ?? this.sem.max); i++) setImmediate(pump);
   }
 
   stop() {
@@ -139,16 +452,27 @@ function simulateWork(msMin = 5, msMax = 30, verySlowEvery = 40, verySlowMs = 50
 }
 
 // API boundary: apply rate limit and bounded queue. Return explicit signals on overload.
-function acceptRequest({ queue, limiter }) {
-  if (!limiter.allow()) {
+// Each request is tagged with a priority class and an absolute deadline derived from its time budget.
+// If the limiter's store fails (e.g. a lock timeout) the request fails open and is marked degraded:
+// the bounded queue behind it still caps the load, whereas failing closed would turn a stuck lock
+// file into a full outage.
+async function acceptRequest({ queue, limiter, priorityClass = 'bulk', timeBudgetMs = 1000 }) {
+  let allowed = true;
+  let degraded = false;
+  try {
+    allowed = await limiter.allow();
+  } catch {
+    degraded = true;
+  }
+  if (!allowed) {
     return { ok: false, error: { code: 429, message: 'Too Many Requests' } };
   }
-  const accepted = queue.offer(simulateWork());
+  const accepted = queue.offer(createJob(simulateWork(), { priorityClass, deadline: Date.now() + timeBudgetMs }));
   if (!accepted) {
     // Shed load explicitly when buffers are full
     return { ok: false, error: { code: 503, message: 'Overloaded, try later' } };
   }
-  return { ok: true };
+  return degraded ? { ok: true, degraded } : { ok: true };
 }
 
 function observe(queue, worker, limiter) {
@@ -158,10 +482,14 @@ function observe(queue, worker, limiter) {
       JSON.stringify({
         ts: new Date().toISOString(),
         queueSize: queue.size(),
+        byClass: queue.sizes?.(),
         inFlight: worker.sem.current,
+        limit: worker.sem.max,
+        queueDelayMs: worker.sem.queueingDelayMs === undefined ? undefined : Math.round(worker.sem.queueingDelayMs),
         completed: worker.completed,
         failed: worker.failed,
         timedOut: worker.timedOut,
+        expired: worker.expired,
         heapMB: Math.round(mem / 1024 / 1024),
         tokens: Math.round(limiter.tokens ?? 0),
       })
@@ -171,16 +499,31 @@ function observe(queue, worker, limiter) {
 }
 
 function main() {
-  const queue = new BoundedQueue(200); // bounded buffer
-  const limiter = new TokenBucket({ ratePerSec: 300, burst: 150 }); // limit ingress
-  const worker = new Worker({ queue, maxConcurrency: 16, taskTimeoutMs: 400 }); // cap concurrency + timeouts
+  // Bounded buffer with room reserved for health checks; bulk work is evicted first under pressure
+  let evicted = 0;
+  const queue = new PriorityBoundedQueue({
+    capacity: 200,
+    classes: {
+      health: { priority: 0, weight: 8, capacity: 10 },
+      interactive: { priority: 1, weight: 4 },
+      bulk: { priority: 2, weight: 1, capacity: 150 },
+    },
+    onEvict: () => evicted++,
+  });
+  // Ingress is allowed to outpace the few workers below, so the queue fills: interactive arrivals
+  // evict queued bulk work and bulk jobs that wait past their deadline expire unstarted
+  const limiter = new TokenBucket({ ratePerSec: 1000, burst: 300 }); // limit ingress
+  // Cap concurrency adaptively (between 1 and 4) + timeouts
+  const concurrencyLimiter = new AdaptiveConcurrencyLimiter({ algorithm: new GradientLimit({ initialLimit: 2, maxLimit: 4 }) });
+  const worker = new Worker({ queue, limiter: concurrencyLimiter, taskTimeoutMs: 400 });
   worker.start();
 
   // Generate traffic: the system will not accept more than it can handle
   let accepted = 0, shed = 0;
-  const sendBurst = (n) => {
+  const sendBurst = async (n) => {
     for (let i = 0; i < n; i++) {
-      const res = acceptRequest({ queue, limiter });
+      const priorityClass = i % 50 === 0 ? 'health' : i % 5 === 0 ? 'interactive' : 'bulk';
+      const res = await acceptRequest({ queue, limiter, priorityClass, timeBudgetMs: priorityClass === 'bulk' ? 2000 : 500 });
       if (res.ok) accepted++; else shed++;
     }
   };
@@ -193,19 +536,108 @@ function main() {
     setTimeout(() => {
       stopObserve();
       worker.stop();
-      console.log('Done (correct demo).', { accepted, shed, queueSize: queue.size(), completed: worker.completed });
+      console.log('Done (correct demo).', { accepted, shed, evicted, expired: worker.expired, queueSize: queue.size(), completed: worker.completed });
     }, 1500);
   }, 4000);
 }
 
+// Overload scenario: a single permit is held by a slow job while the bounded queue fills up.
+// Interactive arrivals evict queued bulk work, a further bulk arrival is rejected, and the bulk jobs
+// still queued when the permit frees up have outlived their deadline and are dropped unstarted.
+function overloadDemo() {
+  let evicted = 0, rejected = 0;
+  const queue = new PriorityBoundedQueue({
+    capacity: 6,
+    classes: {
+      interactive: { priority: 1, weight: 4 },
+      bulk: { priority: 2, weight: 1 },
+    },
+    onEvict: () => evicted++,
+  });
+  const worker = new Worker({ queue, maxConcurrency: 1, taskTimeoutMs: 1000 });
+  const sleep = ms => () => new Promise(resolve => setTimeout(resolve, ms));
+  const offer = (run, priorityClass, timeBudgetMs) => {
+    if (!queue.offer(createJob(run, { priorityClass, deadline: Date.now() + timeBudgetMs }))) rejected++;
+  };
+
+  offer(sleep(100), 'interactive', 1000);
+  worker.start();
+  return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+    for (let i = 0; i < 6; i++) offer(sleep(5), 'bulk', 50); // fills the queue
+    for (let i = 0; i < 3; i++) offer(sleep(5), 'interactive', 1000); // each evicts the oldest bulk job
+    offer(sleep(5), 'bulk', 50); // nothing less important to evict: rejected
+    return new Promise(resolve => setTimeout(resolve, 300));
+  }).then(() => {
+    worker.stop();
+    const weightsReset = [...queue.classes.values()].every(c => c.currentWeight === 0);
+    const passed = evicted === 3 && rejected === 1 && worker.expired === 3 && worker.completed === 4 && weightsReset;
+    console.log(`[Test] Overload with a full queue: ${passed ? 'PASSED' : 'FAILED'}`,
+      { evicted, rejected, expired: worker.expired, completed: worker.completed, weightsReset });
+
+    // A plain function carries no priorityClass and lands in the least important class
+    const plainQueued = queue.offer(() => {}) && queue.sizes().bulk === 1;
+    console.log(`[Test] Plain-function job queued as bulk: ${plainQueued ? 'PASSED' : 'FAILED'}`);
+  });
+}
+
+// A lock file left by a holder that crashed mid-update is reclaimed after staleLockMs, so the next
+// caller gets its answer instead of RATE_LIMIT_STORE_LOCK_TIMEOUT.
+async function staleLockDemo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bfp-'));
+  const store = new FileRateLimitStore({ filePath: path.join(dir, 'limits.json') });
+  fs.writeFileSync(store.lockPath, ''); // the crashed holder never removes it
+  const limiter = new TokenBucket({ ratePerSec: 10, burst: 5, store });
+  const started = Date.now();
+  const allowed = await limiter.allow();
+  const waitedMs = Date.now() - started;
+  fs.rmSync(dir, { recursive: true, force: true });
+  const passed = allowed && waitedMs < store.lockTimeoutMs;
+  console.log(`[Test] Abandoned lock reclaimed: ${passed ? 'PASSED' : 'FAILED'}`, { allowed, waitedMs });
+}
+
+// Cluster demo: several processes share one limit through a FileRateLimitStore.
+// Run with `node correct-implementation.js --cluster`.
+function clusterDemo(workers = 3, attemptsPerWorker = 100) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bfp-')), 'limits.json');
+  let allowed = 0, finished = 0;
+  for (let i = 0; i < workers; i++) {
+    const child = fork(__filename, ['--cluster-child', filePath, String(attemptsPerWorker)]);
+    child.on('message', (count) => {
+      allowed += count;
+      if (++finished === workers) {
+        console.log('Cluster demo done.', { workers, attempts: workers * attemptsPerWorker, allowed, sharedBurst: 50 });
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+      }
+    });
+  }
+}
+
+async function clusterChild(filePath, attempts) {
+  const limiter = new TokenBucket({ ratePerSec: 10, burst: 50, algorithm: 'gcra', store: new FileRateLimitStore({ filePath }), key: 'api' });
+  let allowed = 0;
+  for (let i = 0; i < attempts; i++) if (await limiter.allow()) allowed++;
+  process.send(allowed, () => process.exit(0));
+}
+
 if (require.main === module) {
-  main();
+  const [mode, ...args] = process.argv.slice(2);
+  if (mode === '--cluster') clusterDemo();
+  else if (mode === '--cluster-child') clusterChild(args[0], Number(args[1]));
+  else overloadDemo().then(staleLockDemo).then(main);
 }
 
 module.exports = {
   TokenBucket,
+  RATE_LIMIT_ALGORITHMS,
+  InMemoryRateLimitStore,
+  FileRateLimitStore,
   BoundedQueue,
+  PriorityBoundedQueue,
+  createJob,
   Semaphore,
+  AIMDLimit,
+  GradientLimit,
+  AdaptiveConcurrencyLimiter,
   withTimeout,
   Worker,
   simulateWork,
@@ -1,150 +1,672 @@
 // Observability-First Principle (OFP) — Correct Implementation
-// Goal: Make the system diagnosable by design with structured logs, correlation IDs, and basic metrics.
+// Goal: Make the system diagnosable by design with structured logs, correlation IDs, basic metrics and traces.
+//
+// - Logs: structured JSON with level filtering, PII redaction and pluggable stdout, rotating-file
+//   and ring-buffer sinks
+// - Metrics: label-aware counters, gauges and histograms with Prometheus text exposition, plus an
+//   optional localhost /metrics endpoint (METRICS_PORT)
+// - Traces: W3C traceparent-aware spans that honor the caller's sampled flag, exported as OTLP JSON
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
 
 // Simple correlation ID generator (in real systems, prefer UUIDs)
 function generateCorrelationId() {
   return 'req_' + Math.random().toString(36).slice(2, 10);
 }
 
-// Minimal structured logger with context and child loggers
+// Log levels, lowest to highest severity. A logger drops events below its minimum level.
+const LOG_LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50 };
+
+// Masks sensitive fields before an event reaches any sink. Keys match case-insensitively at any depth.
+class RedactionPolicy {
+  constructor({ keys = ['password', 'secret', 'token', 'authorization', 'cardNumber', 'cvv', 'email', 'ssn'], mask = '[REDACTED]', maskers = {} } = {}) {
+    this.keys = new Set(keys.map(k => k.toLowerCase()));
+    this.mask = mask;
+    // Optional per-key maskers keep a useful hint, e.g. the last four card digits
+    this.maskers = Object.fromEntries(Object.entries(maskers).map(([k, fn]) => [k.toLowerCase(), fn]));
+  }
+  // Returns a redacted copy shaped like its JSON form: values with toJSON (e.g. Date) are redacted as
+  // what they serialize to, and a reference back to an enclosing object becomes '[Circular]'.
+  apply(value, ancestors = new WeakSet()) {
+    if (value === null || typeof value !== 'object') return value;
+    if (typeof value.toJSON === 'function') return this.apply(value.toJSON(), ancestors);
+    if (ancestors.has(value)) return '[Circular]';
+    ancestors.add(value);
+    let out;
+    if (Array.isArray(value)) {
+      out = value.map(v => this.apply(v, ancestors));
+    } else {
+      out = {};
+      for (const [key, v] of Object.entries(value)) {
+        const lower = key.toLowerCase();
+        if (!this.keys.has(lower)) out[key] = this.apply(v, ancestors);
+        else out[key] = this.maskers[lower] ? this.maskers[lower](String(v)) : this.mask;
+      }
+    }
+    ancestors.delete(value);
+    return out;
+  }
+}
+
+const defaultRedactionPolicy = new RedactionPolicy({
+  maskers: {
+    cardNumber: v => '****' + v.replace(/\D/g, '').slice(-4),
+    email: v => v.replace(/^[^@]*/, '***'),
+  },
+});
+
+// Sinks receive already-redacted events; each decides how to serialize and where to write
+class StdoutSink {
+  write(event) {
+    // Emit one line of JSON per event for easy ingestion by log pipelines
+    console.log(JSON.stringify(event));
+  }
+}
+
+// Appends JSON lines to a file and rotates it (app.log -> app.log.1 -> ...) once it exceeds maxBytes
+class RotatingFileSink {
+  constructor({ filePath, maxBytes = 10 * 1024 * 1024, maxFiles = 5 }) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  }
+  write(event) {
+    const line = JSON.stringify(event) + '\n';
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) this.#rotate();
+    fs.appendFileSync(this.filePath, line);
+    this.size += bytes;
+  }
+  #rotate() {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = `${this.filePath}.${i}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.filePath}.${i + 1}`);
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+    this.size = 0;
+  }
+}
+
+// Keeps only the most recent events in memory; handy for tests and for "last N logs" crash dumps
+class RingBufferSink {
+  constructor(capacity = 1000) {
+    this.capacity = capacity;
+    this.buffer = [];
+  }
+  write(event) {
+    this.buffer.push(event);
+    if (this.buffer.length > this.capacity) this.buffer.shift();
+  }
+  entries() {
+    return [...this.buffer];
+  }
+  clear() {
+    this.buffer = [];
+  }
+}
+
+// Structured logger with context, child loggers, level filtering, redaction and pluggable sinks
 class Logger {
-  constructor(context = {}) {
+  constructor(context = {}, { level = 'info', sinks = [new StdoutSink()], redaction = defaultRedactionPolicy } = {}) {
+    if (!(level in LOG_LEVELS)) throw new Error(`Unknown log level: ${level}`);
     this.context = { ...context };
+    this.level = level;
+    this.sinks = sinks;
+    this.redaction = redaction;
+  }
+  child(extra = {}, { level = this.level } = {}) {
+    return new Logger({ ...this.context, ...extra }, { level, sinks: this.sinks, redaction: this.redaction });
   }
-  child(extra = {}) {
-    return new Logger({ ...this.context, ...extra });
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+  trace(message, fields = {}) {
+    this.#emit('trace', message, fields);
+  }
+  debug(message, fields = {}) {
+    this.#emit('debug', message, fields);
   }
   info(message, fields = {}) {
-    this.#emit('INFO', message, fields);
+    this.#emit('info', message, fields);
   }
   warn(message, fields = {}) {
-    this.#emit('WARN', message, fields);
+    this.#emit('warn', message, fields);
   }
   error(message, fields = {}) {
-    this.#emit('ERROR', message, fields);
+    this.#emit('error', message, fields);
   }
   #emit(level, message, fields) {
+    if (!this.isLevelEnabled(level)) return;
     const event = {
       ts: new Date().toISOString(),
-      level,
+      level: level.toUpperCase(),
       msg: message,
       ...this.context,
       ...fields,
     };
-    // Emit one line of JSON per event for easy ingestion by log pipelines
-    console.log(JSON.stringify(event));
+    // Redact once, before any sink sees the event, so no sink can leak PII
+    const safe = this.redaction ? this.redaction.apply(event) : event;
+    for (const sink of this.sinks) sink.write(safe);
   }
 }
 
-// Minimal metrics recorder (stubbed; in real life integrate Prometheus, StatsD, etc.)
+// In-process metrics registry with Prometheus-compatible exposition.
+// Series are keyed by a canonical (sorted) label set, histograms use fixed buckets and
+// summaries keep a bounded window of recent samples, so memory stays flat under load.
+const DEFAULT_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+const DEFAULT_QUANTILES = [0.5, 0.95, 0.99];
+
+function canonicalLabels(labels) {
+  return Object.keys(labels).sort().map(k => [k, String(labels[k])]);
+}
+
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatSeries(name, labelPairs, extra = []) {
+  const pairs = [...labelPairs, ...extra];
+  if (pairs.length === 0) return name;
+  return `${name}{${pairs.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Estimate a quantile from bucket counts the same way PromQL histogram_quantile() does
+function bucketQuantile(q, bounds, counts, total) {
+  if (total === 0) return null;
+  const rank = q * total;
+  let cumulative = 0;
+  for (let i = 0; i < bounds.length; i++) {
+    const prev = cumulative;
+    cumulative += counts[i];
+    if (cumulative >= rank) {
+      const lower = i === 0 ? 0 : bounds[i - 1];
+      return lower + (bounds[i] - lower) * ((rank - prev) / (counts[i] || 1));
+    }
+  }
+  return bounds[bounds.length - 1]; // rank falls into the +Inf bucket
+}
+
+function windowQuantile(q, samples) {
+  if (samples.length === 0) return null;
+  const sorted = [...samples].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+}
+
 class Metrics {
   constructor() {
-    this.counters = new Map();
-    this.histograms = new Map();
+    this.families = new Map();
+  }
+
+  // Explicit registration (optional: first use registers with defaults)
+  counter(name, help = '') {
+    return this.#register(name, 'counter', { help });
   }
-  inc(name, labels = {}) {
-    const key = name + JSON.stringify(labels);
-    this.counters.set(key, (this.counters.get(key) || 0) + 1);
+  gauge(name, help = '') {
+    return this.#register(name, 'gauge', { help });
+  }
+  histogram(name, help = '', { buckets = DEFAULT_BUCKETS_MS } = {}) {
+    return this.#register(name, 'histogram', { help, buckets: [...buckets].sort((a, b) => a - b) });
+  }
+  summary(name, help = '', { quantiles = DEFAULT_QUANTILES, maxSamples = 500 } = {}) {
+    return this.#register(name, 'summary', { help, quantiles, maxSamples });
+  }
+
+  inc(name, labels = {}, by = 1) {
+    const family = this.#family(name, ['counter'], () => this.counter(name));
+    if (by < 0) throw new Error(`Counter ${name} cannot decrease`);
+    this.#series(family, labels).value += by;
+  }
+  set(name, value, labels = {}) {
+    this.#series(this.#family(name, ['gauge'], () => this.gauge(name)), labels).value = value;
+  }
+  add(name, delta, labels = {}) {
+    this.#series(this.#family(name, ['gauge'], () => this.gauge(name)), labels).value += delta;
+  }
+  observe(name, value, labels = {}) {
+    const family = this.#family(name, ['histogram', 'summary'], () => this.histogram(name));
+    const series = this.#series(family, labels);
+    series.sum += value;
+    series.count += 1;
+    if (family.type === 'histogram') {
+      const idx = family.buckets.findIndex(le => value <= le);
+      if (idx >= 0) series.counts[idx] += 1;
+    } else {
+      series.samples.push(value);
+      if (series.samples.length > family.maxSamples) series.samples.shift();
+    }
   }
   time(name, labels = {}) {
     const start = Date.now();
     return () => {
       const ms = Date.now() - start;
-      const key = name + JSON.stringify(labels);
-      const bucket = this.histograms.get(key) || [];
-      bucket.push(ms);
-      this.histograms.set(key, bucket);
+      this.observe(name, ms, labels);
       return ms;
     };
   }
+
   snapshot() {
+    const out = { counters: {}, gauges: {}, histograms: {}, summaries: {} };
+    for (const family of this.families.values()) {
+      for (const series of family.series.values()) {
+        const id = formatSeries(family.name, series.labelPairs);
+        if (family.type === 'counter') out.counters[id] = series.value;
+        else if (family.type === 'gauge') out.gauges[id] = series.value;
+        else if (family.type === 'histogram') {
+          const [p50, p95, p99] = DEFAULT_QUANTILES.map(q => bucketQuantile(q, family.buckets, series.counts, series.count));
+          out.histograms[id] = { count: series.count, sum: series.sum, p50, p95, p99 };
+        } else {
+          out.summaries[id] = { count: series.count, sum: series.sum, ...this.#summaryQuantiles(family, series) };
+        }
+      }
+    }
+    return out;
+  }
+
+  // Prometheus text exposition format 0.0.4
+  toPrometheusText() {
+    const lines = [];
+    for (const family of this.families.values()) {
+      if (family.help) lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${family.name} ${family.type}`);
+      for (const series of family.series.values()) {
+        const { labelPairs } = series;
+        if (family.type === 'counter' || family.type === 'gauge') {
+          lines.push(`${formatSeries(family.name, labelPairs)} ${formatNumber(series.value)}`);
+          continue;
+        }
+        if (family.type === 'histogram') {
+          let cumulative = 0;
+          family.buckets.forEach((le, i) => {
+            cumulative += series.counts[i];
+            lines.push(`${formatSeries(family.name + '_bucket', labelPairs, [['le', formatNumber(le)]])} ${cumulative}`);
+          });
+          lines.push(`${formatSeries(family.name + '_bucket', labelPairs, [['le', '+Inf']])} ${series.count}`);
+        } else {
+          family.quantiles.forEach(q => {
+            const value = windowQuantile(q, series.samples);
+            lines.push(`${formatSeries(family.name, labelPairs, [['quantile', String(q)]])} ${value === null ? 'NaN' : value}`);
+          });
+        }
+        lines.push(`${formatSeries(family.name + '_sum', labelPairs)} ${series.sum}`);
+        lines.push(`${formatSeries(family.name + '_count', labelPairs)} ${series.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  #register(name, type, options) {
+    const existing = this.families.get(name);
+    if (existing) {
+      if (existing.type !== type) throw new Error(`Metric ${name} already registered as ${existing.type}`);
+      return existing;
+    }
+    const family = { name, type, ...options, series: new Map() };
+    this.families.set(name, family);
+    return family;
+  }
+  // Type-checked before any series is touched, so a misuse leaves no partial update behind
+  #family(name, types, registerDefault) {
+    const family = this.families.get(name) || registerDefault();
+    if (!types.includes(family.type)) {
+      throw new Error(`Metric ${name} is a ${family.type}, not a ${types.join(' or ')}`);
+    }
+    return family;
+  }
+  #series(family, labels) {
+    const labelPairs = canonicalLabels(labels);
+    const key = JSON.stringify(labelPairs);
+    let series = family.series.get(key);
+    if (!series) {
+      series = { labelPairs, value: 0, sum: 0, count: 0 };
+      if (family.type === 'histogram') series.counts = family.buckets.map(() => 0);
+      if (family.type === 'summary') series.samples = [];
+      family.series.set(key, series);
+    }
+    return series;
+  }
+  #summaryQuantiles(family, series) {
+    return Object.fromEntries(family.quantiles.map(q => [`p${Math.round(q * 100)}`, windowQuantile(q, series.samples)]));
+  }
+}
+
+// Optional scrape endpoint. Binds to localhost by default so metrics are not exposed publicly.
+function startMetricsServer(metrics, { port = 9464, host = '127.0.0.1' } = {}) {
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(metrics.toPrometheusText());
+      return;
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found\n');
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+// W3C Trace Context helpers (https://www.w3.org/TR/trace-context/)
+// Lowercase hex only; versions after 00 may append further '-'-prefixed fields
+const TRACEPARENT_RE = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+function generateTraceId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function generateSpanId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Returns { traceId, spanId, sampled } or null for a missing/malformed header
+function parseTraceparent(header) {
+  if (typeof header !== 'string') return null;
+  const match = TRACEPARENT_RE.exec(header.trim());
+  if (!match) return null;
+  const [, version, traceId, spanId, flags, extra] = match;
+  // Version ff is forbidden, version 00 has exactly four fields; all-zero IDs are invalid
+  if (version === 'ff' || (version === '00' && extra !== undefined)) return null;
+  if (/^0+$/.test(traceId) || /^0+$/.test(spanId)) return null;
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 0x01) === 1 };
+}
+
+function formatTraceparent({ traceId, spanId, sampled = true }) {
+  return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+function nowUnixNano() {
+  return BigInt(Date.now()) * 1000000n;
+}
+
+// OTLP/JSON encodes attributes as typed key/value pairs
+function toOtlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toOtlpValue) } };
+  return { stringValue: String(value) };
+}
+
+function toOtlpAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+const SpanKind = { INTERNAL: 1, SERVER: 2, CLIENT: 3, PRODUCER: 4, CONSUMER: 5 };
+const SpanStatusCode = { UNSET: 0, OK: 1, ERROR: 2 };
+
+// A single timed operation within a trace
+class Span {
+  constructor(tracer, name, { traceId, parentSpanId, sampled = true, kind = SpanKind.INTERNAL, attributes = {} }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId;
+    this.sampled = sampled;
+    this.spanId = generateSpanId();
+    this.parentSpanId = parentSpanId;
+    this.kind = kind;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: SpanStatusCode.UNSET };
+    this.startTimeUnixNano = nowUnixNano();
+    this.endTimeUnixNano = null;
+  }
+  setAttribute(key, value) {
+    if (!this.ended) this.attributes[key] = value;
+    return this;
+  }
+  setAttributes(attributes) {
+    Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+    return this;
+  }
+  addEvent(name, attributes = {}) {
+    if (!this.ended) this.events.push({ name, timeUnixNano: nowUnixNano(), attributes: { ...attributes } });
+    return this;
+  }
+  recordException(error) {
+    return this.addEvent('exception', {
+      'exception.type': error.code || error.name || 'Error',
+      'exception.message': error.message,
+    });
+  }
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+  get ended() {
+    return this.endTimeUnixNano !== null;
+  }
+  traceparent() {
+    return formatTraceparent({ traceId: this.traceId, spanId: this.spanId, sampled: this.sampled });
+  }
+  end() {
+    if (this.ended) return;
+    this.endTimeUnixNano = nowUnixNano();
+    this.tracer.onEnd(this);
+  }
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: String(this.startTimeUnixNano),
+      endTimeUnixNano: String(this.endTimeUnixNano),
+      attributes: toOtlpAttributes(this.attributes),
+      events: this.events.map(e => ({
+        name: e.name,
+        timeUnixNano: String(e.timeUnixNano),
+        attributes: toOtlpAttributes(e.attributes),
+      })),
+      status: this.status,
+    };
+  }
+}
+
+// Keeps exported spans in memory so tests can assert on the trace shape
+class InMemorySpanExporter {
+  constructor() {
+    this.exports = [];
+  }
+  export(payload) {
+    this.exports.push(payload);
+  }
+  getFinishedSpans() {
+    return this.exports.flatMap(p =>
+      p.resourceSpans.flatMap(rs => rs.scopeSpans.flatMap(ss => ss.spans))
+    );
+  }
+  reset() {
+    this.exports = [];
+  }
+}
+
+// Appends one OTLP/JSON payload per line; the file can be replayed into a collector later
+class FileSpanExporter {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+  export(payload) {
+    fs.appendFileSync(this.filePath, JSON.stringify(payload) + '\n');
+  }
+}
+
+// Creates spans, tracks the active span per async context and hands finished spans to an exporter
+class Tracer {
+  constructor({ serviceName = 'unknown_service', exporter = null } = {}) {
+    this.serviceName = serviceName;
+    this.exporter = exporter;
+    this.storage = new AsyncLocalStorage();
+  }
+  activeSpan() {
+    return this.storage.getStore() || null;
+  }
+  // Parent resolution: explicit parent span > incoming traceparent header > active span > new trace.
+  // The sampling decision is inherited from the parent, so a caller's "not sampled" holds for the whole trace.
+  startSpan(name, { parent, traceparent, kind, attributes } = {}) {
+    const remote = parseTraceparent(traceparent);
+    const parentSpan = parent || (remote ? null : this.activeSpan());
+    const traceId = parentSpan?.traceId || remote?.traceId || generateTraceId();
+    const parentSpanId = parentSpan?.spanId || remote?.spanId;
+    const sampled = parentSpan ? parentSpan.sampled : remote ? remote.sampled : true;
+    return new Span(this, name, { traceId, parentSpanId, sampled, kind, attributes });
+  }
+  // Runs fn inside a new active span, ending it and recording failures automatically
+  async withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      const result = await this.storage.run(span, () => fn(span));
+      if (span.status.code === SpanStatusCode.UNSET) span.setStatus(SpanStatusCode.OK);
+      return result;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus(SpanStatusCode.ERROR, error.code || error.message);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+  // Unsampled spans still propagate context but are never exported
+  onEnd(span) {
+    if (span.sampled) this.exporter?.export(this.toOtlp([span]));
+  }
+  toOtlp(spans) {
     return {
-      counters: Object.fromEntries(this.counters),
-      histograms: Object.fromEntries(this.histograms),
+      resourceSpans: [{
+        resource: { attributes: toOtlpAttributes({ 'service.name': this.serviceName }) },
+        scopeSpans: [{ scope: { name: 'design-principles-js/observability' }, spans: spans.map(s => s.toOtlp()) }],
+      }],
     };
   }
 }
 
+// Used when callers do not wire a tracer: spans are still created, but nothing is exported
+const noopTracer = new Tracer();
+
 // Domain services prepared for observability
 class PaymentService {
-  constructor(logger, metrics) {
+  constructor(logger, metrics, tracer = noopTracer) {
     this.log = logger.child({ svc: 'payment' });
     this.metrics = metrics;
+    this.tracer = tracer;
   }
   async charge(userId, amountCents) {
-    const stopTimer = this.metrics.time('payment_charge_ms');
-    this.log.info('charge.start', { userId, amountCents });
-    // Simulate latency and occasional failure
-    await new Promise(r => setTimeout(r, 25));
-    if (amountCents > 50000) {
-      const err = new Error('Credit limit exceeded');
-      err.code = 'CREDIT_LIMIT';
-      this.metrics.inc('payment_charge_error_total', { code: err.code });
-      this.log.error('charge.fail', { userId, amountCents, code: err.code });
-      throw err;
-    }
-    const ms = stopTimer();
-    this.metrics.inc('payment_charge_success_total');
-    this.log.info('charge.ok', { userId, amountCents, ms });
-    return { txId: 'tx_' + Math.random().toString(36).slice(2, 8) };
+    return this.tracer.withSpan('PaymentService.charge', { kind: SpanKind.CLIENT }, async (span) => {
+      span.setAttributes({ 'user.id': userId, 'payment.amount_cents': amountCents });
+      const log = this.log.child({ traceId: span.traceId, spanId: span.spanId });
+      const stopTimer = this.metrics.time('payment_charge_ms');
+      log.info('charge.start', { userId, amountCents });
+      // Simulate latency and occasional failure
+      await new Promise(r => setTimeout(r, 25));
+      if (amountCents > 50000) {
+        const err = new Error('Credit limit exceeded');
+        err.code = 'CREDIT_LIMIT';
+        this.metrics.inc('payment_charge_error_total', { code: err.code });
+        log.error('charge.fail', { userId, amountCents, code: err.code });
+        throw err;
+      }
+      const ms = stopTimer();
+      const txId = 'tx_' + Math.random().toString(36).slice(2, 8);
+      this.metrics.inc('payment_charge_success_total');
+      span.addEvent('charge.ok', { 'payment.tx_id': txId });
+      log.info('charge.ok', { userId, amountCents, ms });
+      return { txId };
+    });
   }
 }
 
 class InventoryService {
-  constructor(logger, metrics) {
+  constructor(logger, metrics, tracer = noopTracer) {
     this.log = logger.child({ svc: 'inventory' });
     this.metrics = metrics;
+    this.tracer = tracer;
   }
   async reserve(sku, qty) {
-    const stopTimer = this.metrics.time('inventory_reserve_ms');
-    this.log.info('reserve.start', { sku, qty });
-    await new Promise(r => setTimeout(r, 10));
-    const ms = stopTimer();
-    this.metrics.inc('inventory_reserve_success_total');
-    this.log.info('reserve.ok', { sku, qty, ms });
-    return { reservationId: 'res_' + Math.random().toString(36).slice(2, 8) };
+    return this.tracer.withSpan('InventoryService.reserve', { kind: SpanKind.CLIENT }, async (span) => {
+      span.setAttributes({ 'inventory.sku': sku, 'inventory.qty': qty });
+      const log = this.log.child({ traceId: span.traceId, spanId: span.spanId });
+      const stopTimer = this.metrics.time('inventory_reserve_ms');
+      log.info('reserve.start', { sku, qty });
+      await new Promise(r => setTimeout(r, 10));
+      const ms = stopTimer();
+      const reservationId = 'res_' + Math.random().toString(36).slice(2, 8);
+      this.metrics.inc('inventory_reserve_success_total');
+      span.addEvent('reserve.ok', { 'inventory.reservation_id': reservationId });
+      log.info('reserve.ok', { sku, qty, ms });
+      return { reservationId };
+    });
   }
 }
 
-// Application layer that propagates correlation ID and emits consistent logs/metrics
+// Application layer that propagates correlation ID and trace context, and emits consistent logs/metrics
 async function processOrder(ctx, { userId, sku, qty, amountCents }) {
-  const log = ctx.logger.child({ op: 'processOrder' });
-  const metrics = ctx.metrics;
-  const stopTimer = metrics.time('process_order_ms');
+  const tracer = ctx.tracer || noopTracer;
+  // Continue the caller's trace when an incoming traceparent header is present
+  const spanOptions = { kind: SpanKind.SERVER, traceparent: ctx.traceparent, attributes: { 'correlation.id': ctx.correlationId } };
+  return tracer.withSpan('processOrder', spanOptions, async (span) => {
+    const log = ctx.logger.child({ op: 'processOrder', traceId: span.traceId, spanId: span.spanId });
+    const metrics = ctx.metrics;
+    const stopTimer = metrics.time('process_order_ms');
+    metrics.add('orders_in_flight', 1);
 
-  log.info('order.start', { userId, sku, qty, amountCents });
-  try {
-    const inv = await ctx.inventory.reserve(sku, qty);
-    const payment = await ctx.payment.charge(userId, amountCents);
-    const ms = stopTimer();
+    log.info('order.start', { userId, sku, qty, amountCents });
+    try {
+      const inv = await ctx.inventory.reserve(sku, qty);
+      const payment = await ctx.payment.charge(userId, amountCents);
+      const ms = stopTimer();
 
-    metrics.inc('order_success_total');
-    log.info('order.ok', { reservationId: inv.reservationId, txId: payment.txId, ms });
-    return { ok: true, reservationId: inv.reservationId, txId: payment.txId, correlationId: ctx.correlationId };
-  } catch (error) {
-    const ms = stopTimer();
-    // Normalize error and include safe context for debugging
-    const code = error.code || 'UNKNOWN_ERROR';
-    metrics.inc('order_error_total', { code });
-    log.error('order.fail', { code, ms, err: { message: error.message, stack: error.stack?.split('\n')[0] } });
+      metrics.inc('order_success_total');
+      log.info('order.ok', { reservationId: inv.reservationId, txId: payment.txId, ms });
+      return { ok: true, reservationId: inv.reservationId, txId: payment.txId, correlationId: ctx.correlationId, traceId: span.traceId };
+    } catch (error) {
+      const ms = stopTimer();
+      // Normalize error and include safe context for debugging
+      const code = error.code || 'UNKNOWN_ERROR';
+      metrics.inc('order_error_total', { code });
+      log.error('order.fail', { code, ms, err: { message: error.message, stack: error.stack?.split('\n')[0] } });
+      span.recordException(error);
+      span.setStatus(SpanStatusCode.ERROR, code);
 
-    // Return a user-safe error while preserving correlationId for support
-    return { ok: false, error: { code, message: 'Unable to process order at this time.' }, correlationId: ctx.correlationId };
-  }
+      // Return a user-safe error while preserving correlationId for support
+      return { ok: false, error: { code, message: 'Unable to process order at this time.' }, correlationId: ctx.correlationId, traceId: span.traceId };
+    } finally {
+      metrics.add('orders_in_flight', -1);
+    }
+  });
 }
 
 // Demo runner to illustrate the principle
 async function main() {
   const metrics = new Metrics();
+  metrics.histogram('process_order_ms', 'End-to-end order processing latency in milliseconds');
+  metrics.gauge('orders_in_flight', 'Orders currently being processed');
+  metrics.counter('order_error_total', 'Failed orders by normalized error code');
+  const spanExporter = new InMemorySpanExporter();
+  const tracer = new Tracer({ serviceName: 'checkout', exporter: spanExporter });
+  // Keep recent events in memory alongside stdout so they can be inspected after the run
+  const recentLogs = new RingBufferSink(100);
+  const sinks = [new StdoutSink(), recentLogs];
   const correlationId1 = generateCorrelationId();
-  const logger1 = new Logger({ correlationId: correlationId1, app: 'checkout' });
+  const logger1 = new Logger({ correlationId: correlationId1, app: 'checkout' }, { sinks });
 
   const ctx1 = {
     correlationId: correlationId1,
     logger: logger1,
     metrics,
-    payment: new PaymentService(logger1, metrics),
-    inventory: new InventoryService(logger1, metrics),
+    tracer,
+    // Simulate an upstream caller that already started a trace
+    traceparent: formatTraceparent({ traceId: generateTraceId(), spanId: generateSpanId() }),
+    payment: new PaymentService(logger1, metrics, tracer),
+    inventory: new InventoryService(logger1, metrics, tracer),
   };
 
   const result1 = await processOrder(ctx1, { userId: 'u1', sku: 'SKU-1', qty: 1, amountCents: 2999 });
@@ -152,20 +674,61 @@ async function main() {
 
   // Simulate a failure path with a different correlation ID
   const correlationId2 = generateCorrelationId();
-  const logger2 = new Logger({ correlationId: correlationId2, app: 'checkout' });
+  const logger2 = new Logger({ correlationId: correlationId2, app: 'checkout' }, { sinks });
   const ctx2 = {
     correlationId: correlationId2,
     logger: logger2,
     metrics,
-    payment: new PaymentService(logger2, metrics),
-    inventory: new InventoryService(logger2, metrics),
+    tracer,
+    payment: new PaymentService(logger2, metrics, tracer),
+    inventory: new InventoryService(logger2, metrics, tracer),
   };
 
+  // Sensitive fields are masked before reaching any sink; debug events are dropped at the default 'info' level.
+  // Dates keep their serialized value and a self-referencing object does not hang the logger.
+  const session = { id: 'sess-2', token: 'tok_live_123', lastSeen: new Date('2025-01-01T12:00:00Z') };
+  session.self = session;
+  logger2.info('customer.lookup', { userId: 'u2', email: 'jane.doe@example.com', payment: { cardNumber: '4111 1111 1111 1111' }, session });
+  logger2.debug('customer.lookup.raw', { userId: 'u2' });
+
   const result2 = await processOrder(ctx2, { userId: 'u2', sku: 'SKU-2', qty: 2, amountCents: 99999 }); // will fail
   console.log('RESULT', JSON.stringify(result2));
 
-  // Print a simple metrics snapshot (for illustration only)
+  console.log('RECENT_LOGS', recentLogs.entries().length, 'events,', recentLogs.entries().filter(e => e.level === 'ERROR').length, 'errors');
+
+  // Print a metrics snapshot and the same data in Prometheus text format
   console.log('METRICS', JSON.stringify(metrics.snapshot()));
+  console.log(metrics.toPrometheusText());
+
+  // Print the span tree of each trace (children are exported before their parents)
+  const spans = spanExporter.getFinishedSpans();
+  for (const root of spans.filter(s => !spans.some(p => p.spanId === s.parentSpanId))) {
+    const children = spans.filter(s => s.parentSpanId === root.spanId).map(s => `${s.name}[${s.status.code}]`);
+    console.log('TRACE', root.traceId, `${root.name}[${root.status.code}]`, '->', children.join(', '));
+  }
+
+  // An upstream caller that decided not to sample: context still flows downstream, nothing is exported
+  const exportedBefore = spanExporter.getFinishedSpans().length;
+  const unsampledHeader = await tracer.withSpan('inventory.check', {
+    traceparent: formatTraceparent({ traceId: generateTraceId(), spanId: generateSpanId(), sampled: false }),
+  }, async () => {
+    const query = tracer.startSpan('db.query');
+    query.end();
+    return query.traceparent();
+  });
+  console.log('UNSAMPLED', unsampledHeader, 'exported:', spanExporter.getFinishedSpans().length - exportedBefore);
+
+  // Header validation: uppercase hex is rejected, a future version's extra fields are tolerated
+  const sampleTraceparent = formatTraceparent({ traceId: generateTraceId(), spanId: generateSpanId() });
+  console.log('TRACEPARENT uppercase:', parseTraceparent(sampleTraceparent.toUpperCase()),
+    '| future version:', parseTraceparent(`cc${sampleTraceparent.slice(2)}-future`) !== null);
+
+  // Opt-in scrape endpoint: METRICS_PORT=9464 node correct-implementation.js
+  if (process.env.METRICS_PORT) {
+    const server = await startMetricsServer(metrics, { port: Number(process.env.METRICS_PORT) });
+    const { address, port } = server.address();
+    console.log(`Serving metrics on http://${address}:${port}/metrics (Ctrl+C to stop)`);
+  }
 }
 
 if (require.main === module) {
@@ -174,7 +737,21 @@ if (require.main === module) {
 
 module.exports = {
   Logger,
+  LOG_LEVELS,
+  RedactionPolicy,
+  StdoutSink,
+  RotatingFileSink,
+  RingBufferSink,
   Metrics,
+  startMetricsServer,
+  Tracer,
+  Span,
+  SpanKind,
+  SpanStatusCode,
+  InMemorySpanExporter,
+  FileSpanExporter,
+  parseTraceparent,
+  formatTraceparent,
   PaymentService,
   InventoryService,
   processOrder,
@@ -6,149 +6,330 @@
  * rollback, compensation, or forward-fix.
  *
  * Key patterns demonstrated:
- * 1. Expand-contract schema migrations (forward-compatible)
- * 2. Feature flags with lifecycle management
+ * 1. Expand-contract schema migrations (expand/backfill/switch-read/switch-write/contract,
+ *    ledgered, and gated so contract is refused while old readers are live)
+ * 2. Feature flags with lifecycle management, sticky percentage rollouts, targeting
+ *    rules and explained evaluations
  * 3. Compensating workflows for external effects
- * 4. Self-service recovery (no coordination required)
- * 5. Tested recovery paths
- * 6. Reversibility debt tracking and management
+ * 4. Self-service recovery (no coordination required), with canary rollouts that
+ *    compare canary and baseline metrics, roll back or halt on a breach, and fail
+ *    closed when no metrics source is wired
+ * 5. Tested recovery paths, including Stripe-style API versioning: transformer chains,
+ *    date-based client pinning, Deprecation/Sunset headers and removal checks
+ * 6. Reversibility debt tracking and management (persisted JSON ledger, Markdown/HTML
+ *    reports, and a `debt` CLI that can gate CI on aging high-priority debt)
  *
  * Core invariant: At any point after deployment, the previous production version
  * must be able to run safely, OR a documented compensation path must exist.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+
 // =============================================================================
 // PATTERN 1: Expand-Contract Schema Migrations
 // =============================================================================
 
+/**
+ * Expand/contract phases, in the order they must be applied.
+ * Application deploys happen between phases, never inside one.
+ */
+const MIGRATION_PHASES = ['expand', 'backfill', 'switch-read', 'switch-write', 'contract'];
+
+/**
+ * GOOD: Append-only record of every phase applied, rolled back or refused.
+ * In production this is a schema_migrations table; it is the single source
+ * of truth for where each migration stands, so runs are repeatable.
+ */
+class MigrationLedger {
+  constructor() {
+    this.entries = [];
+  }
+
+  record(migrationId, phase, status, details = {}) {
+    const entry = { migrationId, phase, status, details, at: new Date().toISOString() };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  // A phase counts as applied if its latest applied/rolled_back entry is 'applied'
+  appliedPhases(migrationId) {
+    const latest = new Map();
+    for (const entry of this.entries) {
+      if (entry.migrationId === migrationId && entry.status !== 'refused') {
+        latest.set(entry.phase, entry.status);
+      }
+    }
+    return MIGRATION_PHASES.filter(phase => latest.get(phase) === 'applied');
+  }
+
+  history(migrationId) {
+    return this.entries.filter(entry => entry.migrationId === migrationId);
+  }
+}
+
 /**
  * GOOD: Schema migrations that maintain forward compatibility.
  * The previous application version can always run safely against the new schema.
+ *
+ * Migrations are registered as expand -> backfill -> switch-read ->
+ * switch-write -> contract phases. Before any phase runs, its
+ * verifyRollbackSafety gate must pass, and contract is refused while any
+ * live application instance still reads a column the migration retires.
  */
 class ForwardCompatibleMigrationManager {
-  constructor(database, logger) {
+  constructor(database, logger, options = {}) {
     this.database = database;
     this.logger = logger;
-    this.migrationState = new Map();
+    this.ledger = options.ledger || new MigrationLedger();
+    this.readerTtlMs = options.readerTtlMs || 5 * 60 * 1000;
+    this.migrations = new Map();
+    this.readers = new Map();
   }
 
   /**
-   * GOOD: Expand-contract migration for renaming a column
-   * Phase 1: Add new column (both old and new code work)
-   * Phase 2: Dual-write to both columns
-   * Phase 3: Migrate reads to new column
-   * Phase 4: (Optional, later) Remove old column
+   * Registers a migration definition:
+   *   { id, description, retires: ['table.column'], phases: {
+   *       expand: { run(ctx), rollback(ctx), verifyRollbackSafety(ctx) }, ... } }
+   * Every phase in MIGRATION_PHASES must be present; contract has no rollback.
    */
-  async migrateEmailToContactEmail() {
-    const migrationId = 'user-email-to-contact-email';
+  registerMigration(definition) {
+    const missing = MIGRATION_PHASES.filter(phase => !definition.phases[phase]);
+    if (missing.length > 0) {
+      throw new Error(`Migration ${definition.id} is missing phases: ${missing.join(', ')}`);
+    }
+    if (this.migrations.has(definition.id)) {
+      throw new Error(`Migration already registered: ${definition.id}`);
+    }
+    this.migrations.set(definition.id, { retires: [], ...definition });
+    return this;
+  }
 
-    // Phase 1: EXPAND - Add new column
-    await this.phase1_addNewColumn(migrationId);
+  /**
+   * Application instances heartbeat the columns they read, so the runner
+   * knows when the last old reader is gone.
+   */
+  reportReader(instanceId, { appVersion, reads }) {
+    this.readers.set(instanceId, { instanceId, appVersion, reads, lastSeenAt: Date.now() });
+  }
 
-    // Phase 2: DUAL-WRITE - Application writes to both
-    // (This is a code change, not a migration)
-    await this.phase2_enableDualWrite(migrationId);
+  removeReader(instanceId) {
+    this.readers.delete(instanceId);
+  }
 
-    // Phase 3: BACKFILL - Copy existing data
-    await this.phase3_backfillData(migrationId);
+  activeReadersOf(columns) {
+    const cutoff = Date.now() - this.readerTtlMs;
+    return Array.from(this.readers.values())
+      .filter(reader => reader.lastSeenAt >= cutoff)
+      .filter(reader => reader.reads.some(column => columns.includes(column)));
+  }
 
-    // Phase 4: MIGRATE READS - Application reads from new column
-    // (This is a code change, not a migration)
+  getStatus(migrationId) {
+    const migration = this.getMigration(migrationId);
+    const applied = this.ledger.appliedPhases(migrationId);
+    return {
+      migrationId,
+      description: migration.description,
+      appliedPhases: applied,
+      nextPhase: MIGRATION_PHASES[applied.length] || null,
+      complete: applied.length === MIGRATION_PHASES.length
+    };
+  }
 
-    // Phase 5: CONTRACT - Remove old column (optional, much later)
-    // Only after confirming no old application versions are running
+  getMigration(migrationId) {
+    const migration = this.migrations.get(migrationId);
+    if (!migration) {
+      throw new Error(`Unknown migration: ${migrationId}`);
+    }
+    return migration;
   }
 
-  async phase1_addNewColumn(migrationId) {
-    this.logger.info({ migrationId, phase: 1 }, 'Adding new column');
+  /**
+   * GOOD: Recovery verification before proceeding.
+   * Gate for the next pending phase: the phase's own check, plus the
+   * old-reader check for contract.
+   */
+  async verifyRollbackSafety(migrationId) {
+    const migration = this.getMigration(migrationId);
+    const { nextPhase } = this.getStatus(migrationId);
+    if (!nextPhase) {
+      return { safe: true, phase: null, reasons: [], rollbackSteps: [] };
+    }
 
-    await this.database.execute(`
-      ALTER TABLE users
-      ADD COLUMN IF NOT EXISTS contact_email VARCHAR(255);
-    `);
+    const context = this.phaseContext(migration, nextPhase);
+    const check = await migration.phases[nextPhase].verifyRollbackSafety(context);
+    const reasons = check.safe ? [] : [check.reason];
 
-    // Old app version: still works, doesn't know about contact_email
-    // New app version: can start using contact_email
-    // Rollback: trivial - old app just ignores the new column
+    if (nextPhase === 'contract') {
+      const oldReaders = this.activeReadersOf(migration.retires);
+      if (oldReaders.length > 0) {
+        reasons.push(`Old readers still active: ${oldReaders.map(r => `${r.instanceId}@${r.appVersion}`).join(', ')}`);
+      }
+    }
 
-    this.migrationState.set(migrationId, {
-      phase: 1,
-      startedAt: new Date(),
-      rollbackPath: 'Old application version works without changes'
-    });
+    return {
+      safe: reasons.length === 0,
+      phase: nextPhase,
+      reasons,
+      rollbackSteps: check.rollbackSteps || [],
+      coordinationRequired: false
+    };
   }
 
-  async phase2_enableDualWrite(migrationId) {
-    // This is tracked but happens in application code
-    this.logger.info({ migrationId, phase: 2 }, 'Dual-write enabled in application');
-
-    // Application now writes: UPDATE users SET email = ?, contact_email = ?
-    // Old app: reads email column (still populated)
-    // New app: reads contact_email column (now populated)
-    // Rollback: disable dual-write flag, old app works fine
-  }
+  /**
+   * Applies the next pending phase if its gate passes. Returns the outcome
+   * rather than throwing on a refused gate - refusal is the safe, expected
+   * answer while old code is still deployed.
+   */
+  async advance(migrationId) {
+    const migration = this.getMigration(migrationId);
+    const gate = await this.verifyRollbackSafety(migrationId);
 
-  async phase3_backfillData(migrationId) {
-    this.logger.info({ migrationId, phase: 3 }, 'Backfilling data');
+    if (!gate.phase) {
+      return { migrationId, applied: false, complete: true };
+    }
+    if (!gate.safe) {
+      this.ledger.record(migrationId, gate.phase, 'refused', { reasons: gate.reasons });
+      this.logger.warn({ migrationId, phase: gate.phase, reasons: gate.reasons }, 'Migration phase refused by rollback-safety gate');
+      return { migrationId, phase: gate.phase, applied: false, refused: true, reasons: gate.reasons };
+    }
 
-    // Backfill in batches to avoid locking
-    const batchSize = 1000;
-    let processed = 0;
-    let hasMore = true;
+    this.logger.info({ migrationId, phase: gate.phase }, 'Applying migration phase');
+    const result = await migration.phases[gate.phase].run(this.phaseContext(migration, gate.phase));
+    this.ledger.record(migrationId, gate.phase, 'applied', { result: result || null, rollbackSteps: gate.rollbackSteps });
 
-    while (hasMore) {
-      const result = await this.database.execute(`
-        UPDATE users
-        SET contact_email = email
-        WHERE contact_email IS NULL
-          AND email IS NOT NULL
-        LIMIT ${batchSize};
-      `);
+    return { migrationId, phase: gate.phase, applied: true, result };
+  }
 
-      processed += result.rowCount;
-      hasMore = result.rowCount === batchSize;
+  // Advances phase by phase until targetPhase is applied or a gate refuses
+  async runThrough(migrationId, targetPhase) {
+    if (!MIGRATION_PHASES.includes(targetPhase)) {
+      throw new Error(`Unknown migration phase: ${targetPhase}`);
+    }
+    const outcomes = [];
+    while (!this.ledger.appliedPhases(migrationId).includes(targetPhase)) {
+      const outcome = await this.advance(migrationId);
+      outcomes.push(outcome);
+      if (!outcome.applied) break;
+    }
+    return outcomes;
+  }
 
-      this.logger.info({
-        migrationId,
-        phase: 3,
-        processed,
-        batchComplete: true
-      }, 'Backfill progress');
+  /**
+   * GOOD: Every phase before contract can be undone, newest first
+   */
+  async rollbackLastPhase(migrationId, reason) {
+    const migration = this.getMigration(migrationId);
+    const applied = this.ledger.appliedPhases(migrationId);
+    const phase = applied[applied.length - 1];
 
-      // Checkpoint - if we crash, we resume from here
+    if (!phase) {
+      throw new Error(`Migration ${migrationId} has no applied phases to roll back`);
+    }
+    if (phase === 'contract' || !migration.phases[phase].rollback) {
+      throw new Error(`Phase ${phase} of ${migrationId} is not reversible - restore from backup instead`);
     }
 
-    this.migrationState.set(migrationId, {
-      phase: 3,
-      startedAt: this.migrationState.get(migrationId).startedAt,
-      completedAt: new Date(),
-      rowsProcessed: processed,
-      rollbackPath: 'Data exists in both columns - either version works'
-    });
+    this.logger.warn({ migrationId, phase, reason }, 'Rolling back migration phase');
+    await migration.phases[phase].rollback(this.phaseContext(migration, phase));
+    this.ledger.record(migrationId, phase, 'rolled_back', { reason });
+    return { migrationId, rolledBack: phase, nextPhase: phase };
+  }
+
+  phaseContext(migration, phase) {
+    return { database: this.database, logger: this.logger, migrationId: migration.id, phase };
   }
 
   /**
-   * GOOD: Recovery verification before proceeding
+   * GOOD: Expand-contract migration for renaming a column, as a registered
+   * migration. Runs up to switch-write; contract waits for the old readers.
    */
-  async verifyRollbackSafety(migrationId) {
-    const state = this.migrationState.get(migrationId);
-
-    return {
-      canRollback: true,
-      previousVersionCompatible: true,
-      dataPreserved: true,
-      rollbackSteps: [
-        '1. Deploy previous application version',
-        '2. Application reads from email column (still populated)',
-        '3. No data migration required',
-        '4. New contact_email column can be dropped later if needed'
-      ],
-      estimatedRollbackTime: '< 5 minutes',
-      coordinationRequired: false
-    };
+  async migrateEmailToContactEmail() {
+    const migrationId = 'user-email-to-contact-email';
+    if (!this.migrations.has(migrationId)) {
+      this.registerMigration(emailToContactEmailMigration(migrationId));
+    }
+    return this.runThrough(migrationId, 'switch-write');
   }
 }
 
+/**
+ * The users.email -> users.contact_email rename, phase by phase.
+ * Dual-write is an application change that ships between expand and backfill.
+ */
+function emailToContactEmailMigration(id) {
+  const alwaysSafe = rollbackSteps => async () => ({ safe: true, rollbackSteps });
+
+  return {
+    id,
+    description: 'Rename users.email to users.contact_email',
+    retires: ['users.email'],
+    phases: {
+      expand: {
+        // Old app version: still works, doesn't know about contact_email
+        run: ({ database }) => database.execute(`
+          ALTER TABLE users
+          ADD COLUMN IF NOT EXISTS contact_email VARCHAR(255);
+        `),
+        rollback: ({ database }) => database.execute('ALTER TABLE users DROP COLUMN IF EXISTS contact_email;'),
+        verifyRollbackSafety: alwaysSafe(['Old application version ignores the new column'])
+      },
+      backfill: {
+        // Backfill in batches to avoid locking; re-running only touches NULL rows
+        run: async ({ database, logger, migrationId }) => {
+          const batchSize = 1000;
+          let processed = 0;
+          let hasMore = true;
+
+          while (hasMore) {
+            const result = await database.execute(`
+              UPDATE users
+              SET contact_email = email
+              WHERE contact_email IS NULL
+                AND email IS NOT NULL
+              LIMIT ${batchSize};
+            `);
+            processed += result.rowCount;
+            hasMore = result.rowCount === batchSize;
+            logger.info({ migrationId, phase: 'backfill', processed }, 'Backfill progress');
+          }
+          return { rowsProcessed: processed };
+        },
+        rollback: async () => {}, // email was never modified - nothing to undo
+        verifyRollbackSafety: alwaysSafe(['email column untouched; contact_email is a copy'])
+      },
+      'switch-read': {
+        // Application config change: read contact_email, fall back to email
+        run: async ({ logger, migrationId }) => logger.info({ migrationId }, 'Reads switched to contact_email'),
+        rollback: async ({ logger, migrationId }) => logger.info({ migrationId }, 'Reads switched back to email'),
+        verifyRollbackSafety: async ({ database }) => {
+          const { rowCount } = await database.execute(
+            'SELECT 1 FROM users WHERE contact_email IS NULL AND email IS NOT NULL LIMIT 1;'
+          );
+          return rowCount === 0
+            ? { safe: true, rollbackSteps: ['Flip reads back to email - both columns hold the same data'] }
+            : { safe: false, reason: 'Backfill incomplete: rows with email but no contact_email' };
+        }
+      },
+      'switch-write': {
+        // contact_email becomes the source of truth; email is still mirrored
+        // so old instances keep reading current data
+        run: async ({ logger, migrationId }) => logger.info({ migrationId }, 'contact_email is now the write source of truth'),
+        rollback: async ({ logger, migrationId }) => logger.info({ migrationId }, 'email is the write source of truth again'),
+        verifyRollbackSafety: alwaysSafe(['email is still mirrored, so either column can be authoritative'])
+      },
+      contract: {
+        // Stop mirroring and drop the old column - only once nobody reads it
+        run: ({ database }) => database.execute('ALTER TABLE users DROP COLUMN email;'),
+        verifyRollbackSafety: alwaysSafe(['Irreversible: restore users.email from the pre-contract backup'])
+      }
+    }
+  };
+}
+
 // =============================================================================
 // PATTERN 2: Feature Flags with Lifecycle Management
 // =============================================================================
@@ -156,12 +337,26 @@ class ForwardCompatibleMigrationManager {
 /**
  * GOOD: Feature flags with ownership, expiration, and removal tracking.
  * Flags are temporary by design, not permanent complexity.
+ *
+ * Evaluation order (first match wins): kill switch -> deny list -> allow list ->
+ * segment rules -> sticky percentage rollout. Every evaluation records why it resolved
+ * the way it did, so "why did this user see v2?" has an answer during an incident.
  */
 class ManagedFeatureFlags {
   constructor(logger, metricsCollector) {
     this.logger = logger;
     this.metrics = metricsCollector;
 
+    // Named audiences referenced by flag targeting rules
+    this.segments = new Map([
+      ['internal-staff', context => typeof context.email === 'string' && context.email.endsWith('@company.com')],
+      ['beta-testers', context => context.betaOptIn === true]
+    ]);
+
+    // Bounded log of recent evaluation explanations
+    this.evaluationLog = [];
+    this.maxEvaluationLogSize = 1000;
+
     // Each flag has full lifecycle metadata
     this.flags = new Map([
       ['checkout-v2', {
@@ -172,6 +367,14 @@ class ManagedFeatureFlags {
         expiresAt: new Date('2025-04-15'),  // 90 days max
         removalTicket: 'JIRA-4521',
         description: 'New checkout flow with improved UX',
+        // Sticky rollout: the same user always lands in the same bucket, so ramping
+        // 10% -> 25% only adds users and never flips anyone back and forth
+        rollout: { percentage: 25, stickiness: 'userId' },
+        targeting: {
+          allow: { tenantId: ['tenant-internal'] },
+          deny: { tenantId: ['tenant-regulated-eu'] },
+          segments: ['internal-staff', 'beta-testers']
+        },
         rollbackCriteria: {
           errorRateThreshold: 0.01,  // 1%
           p99LatencyMs: 500,
@@ -202,11 +405,18 @@ class ManagedFeatureFlags {
    * GOOD: Flag evaluation with usage tracking
    */
   isEnabled(flagName, context = {}) {
+    return this.evaluate(flagName, context).enabled;
+  }
+
+  /**
+   * GOOD: Evaluation that explains itself - returns the decision plus the rule that made it
+   */
+  evaluate(flagName, context = {}) {
     const flag = this.flags.get(flagName);
 
     if (!flag) {
       this.logger.warn({ flagName }, 'Unknown feature flag requested');
-      return false;
+      return this.recordEvaluation(flagName, context, false, 'UNKNOWN_FLAG');
     }
 
     // Track usage for removal safety analysis
@@ -232,13 +442,110 @@ class ManagedFeatureFlags {
       }, 'Feature flag approaching expiration');
     }
 
+    const decision = this.resolve(flagName, flag, context);
+
     // Record evaluation for metrics
     this.metrics.increment('feature_flag.evaluated', {
       flag: flagName,
-      enabled: flag.enabled
+      enabled: decision.enabled,
+      reason: decision.reason
     });
 
-    return flag.enabled;
+    return this.recordEvaluation(flagName, context, decision.enabled, decision.reason, decision.details);
+  }
+
+  resolve(flagName, flag, context) {
+    // The global switch stays a kill switch: disabling it overrides every targeting rule
+    if (!flag.enabled) {
+      return { enabled: false, reason: 'FLAG_DISABLED' };
+    }
+
+    const targeting = flag.targeting || {};
+    const listMatch = (lists = {}) => Object.entries(lists)
+      .find(([attribute, values]) => context[attribute] !== undefined && values.includes(context[attribute]));
+
+    const denied = listMatch(targeting.deny);
+    if (denied) {
+      return { enabled: false, reason: 'DENY_LIST', details: { attribute: denied[0], value: context[denied[0]] } };
+    }
+
+    const allowed = listMatch(targeting.allow);
+    if (allowed) {
+      return { enabled: true, reason: 'ALLOW_LIST', details: { attribute: allowed[0], value: context[allowed[0]] } };
+    }
+
+    const segment = (targeting.segments || []).find(name => this.segments.get(name)?.(context));
+    if (segment) {
+      return { enabled: true, reason: 'SEGMENT_MATCH', details: { segment } };
+    }
+
+    if (!flag.rollout) {
+      return { enabled: true, reason: 'FLAG_ENABLED' };
+    }
+
+    const { percentage, stickiness } = flag.rollout;
+    const stickyKey = context[stickiness];
+    if (stickyKey === undefined) {
+      // Without a sticky key the user would flip between variants on every request
+      return { enabled: false, reason: 'ROLLOUT_NO_STICKY_KEY', details: { stickiness } };
+    }
+
+    const bucket = this.rolloutBucket(flagName, stickyKey);
+    const enabled = bucket < percentage * 100;
+    return {
+      enabled,
+      reason: enabled ? 'ROLLOUT_INCLUDED' : 'ROLLOUT_EXCLUDED',
+      details: { stickiness, bucket, threshold: percentage * 100 }
+    };
+  }
+
+  /**
+   * Deterministic bucket in [0, 10000): hashing the flag name with the key keeps
+   * rollouts of different flags independent of each other
+   */
+  rolloutBucket(flagName, stickyKey) {
+    const digest = crypto.createHash('sha256').update(`${flagName}:${stickyKey}`).digest();
+    return digest.readUInt32BE(0) % 10000;
+  }
+
+  recordEvaluation(flagName, context, enabled, reason, details = {}) {
+    const explanation = {
+      flagName,
+      enabled,
+      reason,
+      details,
+      context: { userId: context.userId, tenantId: context.tenantId },
+      evaluatedAt: new Date().toISOString()
+    };
+    const flag = this.flags.get(flagName);
+    if (flag) flag.lastExplanation = explanation;
+    this.evaluationLog.push(explanation);
+    if (this.evaluationLog.length > this.maxEvaluationLogSize) this.evaluationLog.shift();
+    return explanation;
+  }
+
+  /**
+   * GOOD: Ramp a rollout up or down without a deployment; sticky buckets keep users stable
+   */
+  setRolloutPercentage(flagName, percentage) {
+    const flag = this.flags.get(flagName);
+
+    if (!flag) {
+      throw new Error(`Unknown flag: ${flagName}`);
+    }
+    if (percentage < 0 || percentage > 100) {
+      throw new Error(`Rollout percentage must be between 0 and 100, got ${percentage}`);
+    }
+
+    const previousPercentage = flag.rollout ? flag.rollout.percentage : 100;
+    flag.rollout = { stickiness: 'userId', ...flag.rollout, percentage };
+
+    this.logger.info({ flagName, previousPercentage, percentage }, 'Feature flag rollout changed');
+    return { flagName, previousPercentage, percentage };
+  }
+
+  defineSegment(name, predicate) {
+    this.segments.set(name, predicate);
   }
 
   /**
@@ -566,53 +873,175 @@ class RecoverableOrderProcessor {
 // PATTERN 4: Self-Service Recovery (No Coordination Required)
 // =============================================================================
 
+/**
+ * Default progressive rollout: percentage of traffic on the new version per stage
+ */
+const DEFAULT_CANARY_STAGES = [1, 10, 50, 100];
+
+/**
+ * Same shape as a feature flag's rollbackCriteria. Canary metrics are judged
+ * against the baseline (the stable version serving the rest of the traffic),
+ * so a platform-wide blip that hits both cohorts doesn't roll back the canary.
+ */
+const DEFAULT_CANARY_CRITERIA = {
+  errorRateThreshold: 0.01,  // 1%
+  p99LatencyMs: 500,
+  conversionDropPercent: 5
+};
+
+/**
+ * GOOD: Compare canary against baseline; returns every threshold breached
+ */
+function evaluateCanary(canary, baseline, criteria) {
+  const breaches = [];
+
+  if (criteria.errorRateThreshold !== undefined &&
+      canary.errorRate > criteria.errorRateThreshold && canary.errorRate > baseline.errorRate) {
+    breaches.push(`error rate ${(canary.errorRate * 100).toFixed(2)}% > ${(criteria.errorRateThreshold * 100).toFixed(2)}% (baseline ${(baseline.errorRate * 100).toFixed(2)}%)`);
+  }
+  if (criteria.p99LatencyMs !== undefined &&
+      canary.p99LatencyMs > criteria.p99LatencyMs && canary.p99LatencyMs > baseline.p99LatencyMs) {
+    breaches.push(`p99 ${canary.p99LatencyMs}ms > ${criteria.p99LatencyMs}ms (baseline ${baseline.p99LatencyMs}ms)`);
+  }
+  if (criteria.conversionDropPercent !== undefined && baseline.conversionRate > 0) {
+    const dropPercent = ((baseline.conversionRate - canary.conversionRate) / baseline.conversionRate) * 100;
+    if (dropPercent > criteria.conversionDropPercent) {
+      breaches.push(`conversion down ${dropPercent.toFixed(1)}% vs baseline (limit ${criteria.conversionDropPercent}%)`);
+    }
+  }
+
+  return breaches;
+}
+
 /**
  * GOOD: Deployment system where any on-call engineer can recover.
  * No approvals, no coordination, no meetings at 3 AM.
+ *
+ * New versions roll out in stages (1% -> 10% -> 50% -> 100% by default),
+ * baking at each stage and comparing canary metrics with the baseline.
+ * A breach rolls back automatically; every stage transition is recorded in
+ * the deployment history. With autoRollbackOnFailure: false a breach halts
+ * instead: all traffic goes back to the stable version and the deployment
+ * stays active until an operator calls rollback(). New deploys are refused
+ * until then, so the next version's baseline is never the halted one.
+ *
+ * Canary judgement needs real cohort metrics: pass collectCohortMetrics in
+ * the options (or override the method). Without it, or when collection
+ * fails, a stage counts as breached - the rollout fails closed.
  */
 class SelfServiceDeploymentSystem {
-  constructor(logger, metrics) {
+  constructor(logger, metrics, options = {}) {
     this.logger = logger;
     this.metrics = metrics;
     this.deploymentHistory = [];
     this.currentVersion = null;
     this.previousVersion = null;
+    this.stages = options.stages || DEFAULT_CANARY_STAGES;
+    this.bakeTimeMs = options.bakeTimeMs !== undefined ? options.bakeTimeMs : 10 * 60 * 1000;
+    this.rollbackCriteria = { ...DEFAULT_CANARY_CRITERIA, ...options.rollbackCriteria };
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.traffic = { stable: null, canary: null, canaryPercent: 0 };
+    this.activeDeployment = null;
+    if (options.collectCohortMetrics) {
+      this.collectCohortMetrics = options.collectCohortMetrics;
+    }
   }
 
   /**
-   * GOOD: Deploy with automatic rollback capability
+   * GOOD: Progressive deploy with automatic rollback at the first breach
    */
   async deploy(version, options = {}) {
+    if (this.activeDeployment && this.activeDeployment.status === 'halted') {
+      const error = new Error(`Rollout of ${this.activeDeployment.version} is halted; roll it back before deploying ${version}`);
+      error.haltedVersion = this.activeDeployment.version;
+      throw error;
+    }
+
     // Save current as previous for instant rollback
     this.previousVersion = this.currentVersion;
     this.currentVersion = version;
 
+    const stages = options.stages || this.stages;
+    const criteria = { ...this.rollbackCriteria, ...options.rollbackCriteria };
     const deployment = {
       version,
       deployedAt: new Date(),
       deployedBy: options.deployedBy || 'system',
       previousVersion: this.previousVersion,
       rollbackAvailable: true,
-      healthChecksPassed: false
+      healthChecksPassed: false,
+      status: 'in_progress',
+      stages,
+      rollbackCriteria: criteria,
+      stageTransitions: []
     };
 
     this.deploymentHistory.push(deployment);
+    this.activeDeployment = deployment;
 
     this.logger.info({
       version,
-      previousVersion: this.previousVersion
+      previousVersion: this.previousVersion,
+      stages
     }, 'Deployment started');
 
-    // Run health checks
+    // Run health checks before any traffic shifts
     const healthy = await this.runHealthChecks(version);
     deployment.healthChecksPassed = healthy;
 
-    if (!healthy && options.autoRollbackOnFailure !== false) {
+    if (!healthy) {
+      if (options.autoRollbackOnFailure === false) {
+        return this.halt(deployment, 0, ['health checks failed']);
+      }
       this.logger.warn({ version }, 'Health checks failed, auto-rolling back');
       await this.rollback('Automatic: health checks failed');
       return { success: false, rolledBack: true };
     }
 
+    this.traffic = { stable: this.previousVersion, canary: version, canaryPercent: 0 };
+
+    for (const percent of stages) {
+      this.setCanaryTraffic(deployment, percent);
+
+      // First deploy or full rollout: no baseline left to compare against
+      if (percent >= 100 || !this.previousVersion) continue;
+
+      await this.sleep(this.bakeTimeMs);
+      let canary = null;
+      let baseline = null;
+      let breaches;
+      try {
+        canary = await this.collectCohortMetrics(version, 'canary');
+        baseline = await this.collectCohortMetrics(this.previousVersion, 'baseline');
+        breaches = evaluateCanary(canary, baseline, criteria);
+      } catch (error) {
+        // No evidence the canary is healthy is treated as evidence it is not
+        breaches = [`cohort metrics unavailable: ${error.message}`];
+      }
+
+      this.recordTransition(deployment, {
+        event: breaches.length > 0 ? 'stage_breached' : 'stage_passed',
+        percent,
+        canary,
+        baseline,
+        breaches
+      });
+
+      if (breaches.length > 0) {
+        this.logger.warn({ version, percent, breaches }, 'Canary breached rollback criteria');
+        if (options.autoRollbackOnFailure === false) {
+          return this.halt(deployment, percent, breaches);
+        }
+        await this.rollback(`Automatic: canary breach at ${percent}% - ${breaches.join('; ')}`);
+        return { success: false, rolledBack: true, failedStage: percent, breaches };
+      }
+    }
+
+    deployment.status = 'completed';
+    this.recordTransition(deployment, { event: 'completed', percent: 100 });
+    this.activeDeployment = null;
+    this.traffic = { stable: version, canary: null, canaryPercent: 0 };
+
     return {
       success: true,
       version,
@@ -622,6 +1051,35 @@ class SelfServiceDeploymentSystem {
     };
   }
 
+  // Stops the rollout and routes all traffic back to the stable version
+  halt(deployment, percent, breaches) {
+    this.traffic.canaryPercent = 0;
+    deployment.status = 'halted';
+    this.recordTransition(deployment, { event: 'halted', percent: 0, failedStage: percent, breaches });
+    this.logger.warn({ version: deployment.version, failedStage: percent, breaches }, 'Rollout halted, traffic back on stable');
+    this.metrics.increment('deployment.halted', { percent });
+    return { success: false, halted: true, failedStage: percent, breaches };
+  }
+
+  setCanaryTraffic(deployment, percent) {
+    this.traffic.canaryPercent = percent;
+    this.recordTransition(deployment, { event: 'stage_started', percent });
+    this.logger.info({ version: deployment.version, canaryPercent: percent }, 'Traffic shifted');
+    this.metrics.increment('deployment.stage_transition', { percent });
+  }
+
+  recordTransition(deployment, transition) {
+    deployment.stageTransitions.push({ ...transition, at: new Date().toISOString() });
+  }
+
+  /**
+   * Per-cohort metrics over the bake window. Must be wired to the metrics
+   * backend; there is no default, so an unwired rollout never passes a stage.
+   */
+  async collectCohortMetrics(version, cohort) {
+    throw new Error(`no cohort metrics source configured (${cohort} ${version})`);
+  }
+
   /**
    * GOOD: Instant rollback - any engineer can execute
    */
@@ -640,9 +1098,16 @@ class SelfServiceDeploymentSystem {
     const rolledBackFrom = this.currentVersion;
     this.currentVersion = this.previousVersion;
     this.previousVersion = rolledBackFrom;
+    this.traffic = { stable: this.currentVersion, canary: null, canaryPercent: 0 };
 
     const rollbackDuration = Date.now() - rollbackStart;
 
+    if (this.activeDeployment) {
+      this.activeDeployment.status = 'rolled_back';
+      this.recordTransition(this.activeDeployment, { event: 'rolled_back', percent: 0, reason });
+      this.activeDeployment = null;
+    }
+
     this.logger.info({
       rolledBackFrom,
       rolledBackTo: this.currentVersion,
@@ -700,56 +1165,172 @@ class SelfServiceDeploymentSystem {
 // PATTERN 5: API Evolution with Deprecation and Usage Tracking
 // =============================================================================
 
+const DAY_MS = 1000 * 60 * 60 * 24;
+
 /**
  * GOOD: API versioning with usage tracking and clear deprecation.
  * We know when it's safe to remove old versions.
+ *
+ * Stripe-style: the handler only ever speaks the current shape. Each older
+ * version registers a transformer pair that converts to/from the next newer
+ * version; requests are upgraded through the chain and responses downgraded
+ * back. Clients are pinned to the version current on their first request
+ * (by release date) until they opt in to a newer one.
  */
 class VersionedApiManager {
-  constructor(logger, metrics) {
+  constructor(logger, metrics, options = {}) {
     this.logger = logger;
     this.metrics = metrics;
-
-    this.versions = new Map([
-      ['v1', {
-        status: 'deprecated',
-        deprecatedAt: new Date('2025-01-01'),
-        sunsetAt: new Date('2025-07-01'),
-        usageCount: 0,
-        lastUsed: null
-      }],
-      ['v2', {
-        status: 'current',
-        introducedAt: new Date('2024-10-01'),
-        usageCount: 0,
-        lastUsed: null
-      }]
+    this.now = options.now || (() => new Date());
+    this.quietPeriodDays = options.quietPeriodDays || 30;
+    // Anonymous requests without Accept-Version have always been served v2;
+    // moving them to a newer version is a deliberate change, not a side effect
+    this.defaultVersion = options.defaultVersion || 'v2';
+
+    // Ordered oldest -> newest; the last one is current
+    this.versions = new Map();
+    this.clientPins = new Map();
+    this.traffic = new Map(); // version -> Map(day -> { requests, clients: Set })
+    this.users = new Map([
+      ['123', { id: '123', name: 'John Doe', email: 'john@example.com', createdAt: new Date('2025-01-15T10:30:00Z') }]
     ]);
+
+    this.registerVersion('v1', {
+      releasedAt: '2024-01-01',
+      status: 'deprecated',
+      deprecatedAt: new Date('2025-01-01'),
+      sunsetAt: new Date('2025-07-01'),
+      // v1 -> v2: flat fields move under data.attributes, email -> emailAddress
+      upgradeRequest: body => ({
+        attributes: { name: body.name, emailAddress: body.email }
+      }),
+      downgradeResponse: body => ({
+        id: body.data.id,
+        name: body.data.attributes.name,
+        email: body.data.attributes.emailAddress,
+        created_at: body.data.attributes.createdAt
+      })
+    });
+    this.registerVersion('v2', {
+      releasedAt: '2024-10-01',
+      status: 'supported',
+      // v2 -> v3: emailAddress moves into a contact object
+      upgradeRequest: body => ({
+        attributes: {
+          name: body.attributes?.name,
+          contact: { email: body.attributes?.emailAddress }
+        }
+      }),
+      downgradeResponse: body => {
+        const { contact, ...attributes } = body.data.attributes;
+        return {
+          data: {
+            id: body.data.id,
+            attributes: { ...attributes, emailAddress: contact.email },
+            meta: { version: 2 }
+          }
+        };
+      }
+    });
+    this.registerVersion('v3', {
+      releasedAt: '2025-06-01',
+      status: 'current'
+    });
+  }
+
+  /**
+   * Registers the next newer version. Every version except the newest needs
+   * upgradeRequest/downgradeResponse to convert to/from its successor.
+   */
+  registerVersion(version, definition) {
+    this.versions.set(version, {
+      ...definition,
+      version,
+      usageCount: 0,
+      lastUsed: null
+    });
+  }
+
+  versionList() {
+    return Array.from(this.versions.keys());
+  }
+
+  currentVersion() {
+    const list = this.versionList();
+    return list[list.length - 1];
+  }
+
+  // Latest version released on or before the given date
+  versionForDate(date) {
+    let match = null;
+    for (const [version, info] of this.versions) {
+      if (info.releasedAt <= date) match = version;
+    }
+    return match;
+  }
+
+  /**
+   * GOOD: Pin a client to the API as it was on a date; upgrading is an
+   * explicit, per-client decision
+   */
+  pinClient(clientId, date) {
+    const version = this.versionForDate(date);
+    if (!version) {
+      throw new Error(`No API version released on or before ${date}`);
+    }
+    this.clientPins.set(clientId, date);
+    return version;
+  }
+
+  /**
+   * Explicit Accept-Version header (label or date, header name matched
+   * case-insensitively) wins, then the client's pin; unpinned clients are
+   * pinned to today's version on first contact, and anonymous requests get
+   * defaultVersion.
+   */
+  resolveVersion(request) {
+    const headerName = Object.keys(request.headers || {}).find(name => name.toLowerCase() === 'accept-version');
+    const requested = headerName && request.headers[headerName];
+    if (requested) {
+      if (this.versions.has(requested)) return requested;
+      return /^\d{4}-\d{2}-\d{2}$/.test(requested) ? this.versionForDate(requested) : null;
+    }
+    if (!request.clientId) {
+      return this.defaultVersion;
+    }
+    if (!this.clientPins.has(request.clientId)) {
+      this.clientPins.set(request.clientId, this.versions.get(this.currentVersion()).releasedAt);
+    }
+    return this.versionForDate(this.clientPins.get(request.clientId));
+  }
+
+  // Kept for existing callers; resolveVersion() is the full lookup
+  extractVersion(request) {
+    return this.resolveVersion(request);
   }
 
   /**
    * GOOD: Route request with version tracking
    */
   async handleRequest(request) {
-    const version = this.extractVersion(request);
+    const version = this.resolveVersion(request);
     const versionInfo = this.versions.get(version);
 
     if (!versionInfo) {
-      return { error: 'Unknown API version', supportedVersions: ['v1', 'v2'] };
+      return { error: 'Unknown API version', supportedVersions: this.versionList() };
     }
 
-    // Track usage
-    versionInfo.usageCount++;
-    versionInfo.lastUsed = new Date();
+    this.recordTraffic(version, request.clientId);
     this.metrics.increment('api.request', { version });
 
-    // Add deprecation warning to response
     const response = await this.processRequest(request, version);
+    response.headers = { ...response.headers, 'Api-Version': version };
 
+    // Add deprecation warning to response (RFC 9745 Deprecation, RFC 8594 Sunset)
     if (versionInfo.status === 'deprecated') {
-      response.headers = response.headers || {};
-      response.headers['Deprecation'] = versionInfo.deprecatedAt.toISOString();
-      response.headers['Sunset'] = versionInfo.sunsetAt.toISOString();
-      response.headers['Link'] = '</api/v2>; rel="successor-version"';
+      response.headers['Deprecation'] = `@${Math.floor(versionInfo.deprecatedAt.getTime() / 1000)}`;
+      response.headers['Sunset'] = versionInfo.sunsetAt.toUTCString();
+      response.headers['Link'] = `</api/${this.currentVersion()}>; rel="successor-version"`;
 
       this.logger.warn({
         version,
@@ -761,8 +1342,40 @@ class VersionedApiManager {
     return response;
   }
 
+  recordTraffic(version, clientId) {
+    const versionInfo = this.versions.get(version);
+    const now = this.now();
+    versionInfo.usageCount++;
+    versionInfo.lastUsed = now;
+
+    const day = now.toISOString().slice(0, 10);
+    if (!this.traffic.has(version)) {
+      this.traffic.set(version, new Map());
+    }
+    const days = this.traffic.get(version);
+    if (!days.has(day)) {
+      days.set(day, { requests: 0, clients: new Set() });
+    }
+    days.get(day).requests++;
+    if (clientId) days.get(day).clients.add(clientId);
+  }
+
+  trafficSince(version, since) {
+    const sinceDay = since.toISOString().slice(0, 10);
+    const clients = new Set();
+    let requests = 0;
+    for (const [day, bucket] of this.traffic.get(version) || []) {
+      if (day >= sinceDay) {
+        requests += bucket.requests;
+        bucket.clients.forEach(client => clients.add(client));
+      }
+    }
+    return { requests, clients: Array.from(clients) };
+  }
+
   /**
-   * GOOD: Check if old version can be safely removed
+   * GOOD: Check if old version can be safely removed - based on observed
+   * traffic over the quiet period and on clients still pinned to it
    */
   canRemoveVersion(version) {
     const versionInfo = this.versions.get(version);
@@ -771,108 +1384,174 @@ class VersionedApiManager {
       return { canRemove: false, reason: 'Version not found' };
     }
 
-    const now = new Date();
-    const daysSinceLastUse = versionInfo.lastUsed
-      ? (now - versionInfo.lastUsed) / (1000 * 60 * 60 * 24)
-      : Infinity;
-
-    const isPastSunset = versionInfo.sunsetAt && now > versionInfo.sunsetAt;
-    const hasNoRecentUsage = daysSinceLastUse > 30;
+    const now = this.now();
+    const recent = this.trafficSince(version, new Date(now.getTime() - this.quietPeriodDays * DAY_MS));
+    const pinnedClients = Array.from(this.clientPins)
+      .filter(([, date]) => this.versionForDate(date) === version)
+      .map(([clientId]) => clientId);
+
+    const isCurrent = version === this.currentVersion();
+    const isPastSunset = !!versionInfo.sunsetAt && now > versionInfo.sunsetAt;
+    const hasNoRecentUsage = recent.requests === 0;
+    const canRemove = !isCurrent && isPastSunset && hasNoRecentUsage && pinnedClients.length === 0;
+
+    let recommendation = 'Safe to remove - no traffic or pinned clients after sunset date';
+    if (isCurrent) {
+      recommendation = 'Current version - cannot be removed';
+    } else if (!isPastSunset) {
+      recommendation = versionInfo.sunsetAt
+        ? `Wait until sunset date: ${versionInfo.sunsetAt.toISOString()}`
+        : 'Announce deprecation and a sunset date first';
+    } else if (!hasNoRecentUsage) {
+      recommendation = `Still in use: ${recent.requests} requests from ${recent.clients.join(', ') || 'anonymous clients'} in the last ${this.quietPeriodDays} days`;
+    } else if (pinnedClients.length > 0) {
+      recommendation = `Migrate pinned clients first: ${pinnedClients.join(', ')}`;
+    }
 
     return {
       version,
-      canRemove: isPastSunset && hasNoRecentUsage,
+      canRemove,
       status: versionInfo.status,
       sunsetAt: versionInfo.sunsetAt,
-      daysSinceLastUse: Math.floor(daysSinceLastUse),
       usageCount: versionInfo.usageCount,
-      recommendation: isPastSunset && hasNoRecentUsage
-        ? 'Safe to remove - no recent usage after sunset date'
-        : isPastSunset
-          ? `Wait for usage to stop (last used ${Math.floor(daysSinceLastUse)} days ago)`
-          : `Wait until sunset date: ${versionInfo.sunsetAt}`
+      lastUsed: versionInfo.lastUsed,
+      requestsInQuietPeriod: recent.requests,
+      clientsInQuietPeriod: recent.clients,
+      pinnedClients,
+      recommendation
     };
   }
 
   /**
-   * GOOD: Provide v1 response with compatibility
+   * GOOD: Upgrade the request to the current shape, handle it once, then
+   * downgrade the response back to the caller's version
    */
   async processRequest(request, version) {
-    // Simulated user data
-    const userData = {
-      id: '123',
-      name: 'John Doe',
-      email: 'john@example.com',
-      createdAt: new Date('2025-01-15T10:30:00Z')
-    };
+    const chain = this.versionList();
+    const start = chain.indexOf(version);
 
-    if (version === 'v1') {
-      // V1 format: flat structure
-      return {
-        body: {
-          id: userData.id,
-          name: userData.name,
-          email: userData.email,
-          created_at: userData.createdAt.toISOString()
-        }
-      };
+    let body = request.body;
+    for (let i = start; i < chain.length - 1 && body !== undefined; i++) {
+      body = this.versions.get(chain[i]).upgradeRequest(body);
+    }
+
+    let responseBody = await this.handleCurrent({ ...request, body });
+
+    for (let i = chain.length - 2; i >= start; i--) {
+      responseBody = this.versions.get(chain[i]).downgradeResponse(responseBody);
+    }
+
+    return { body: responseBody };
+  }
+
+  /**
+   * The only request handler - written against the current version
+   */
+  async handleCurrent(request) {
+    const user = this.users.get(request.userId || '123');
+
+    if (request.method === 'PATCH' && request.body?.attributes) {
+      const { name, contact } = request.body.attributes;
+      if (name !== undefined) user.name = name;
+      if (contact?.email !== undefined) user.email = contact.email;
     }
 
-    // V2 format: wrapped structure
     return {
-      body: {
-        data: {
-          id: userData.id,
-          attributes: {
-            name: userData.name,
-            emailAddress: userData.email,
-            createdAt: userData.createdAt.toISOString()
-          },
-          meta: { version: 2 }
-        }
+      data: {
+        id: user.id,
+        attributes: {
+          name: user.name,
+          contact: { email: user.email },
+          createdAt: user.createdAt.toISOString()
+        },
+        meta: { version: 3 }
       }
     };
   }
-
-  extractVersion(request) {
-    return request.headers?.['Accept-Version'] || 'v2';
-  }
 }
 
 // =============================================================================
 // PATTERN 6: Reversibility Debt Tracking
 // =============================================================================
 
+const DEBT_PRIORITIES = ['high', 'medium', 'low'];
+const DEBT_AGE_BUCKETS = [
+  { label: '0-30d', maxDays: 30 },
+  { label: '31-90d', maxDays: 90 },
+  { label: '91-180d', maxDays: 180 },
+  { label: '>180d', maxDays: Infinity }
+];
+
 /**
  * GOOD: Explicit tracking and management of reversibility debt.
  * We know what we can't roll back and actively work to fix it.
+ *
+ * With a ledgerFile the items are persisted as JSON (written atomically after
+ * every change), so the ledger can live in the repo and be checked in CI.
  */
 class ReversibilityDebtTracker {
-  constructor(logger, alerting) {
+  constructor(logger, alerting, options = {}) {
     this.logger = logger;
     this.alerting = alerting;
+    this.ledgerFile = options.ledgerFile || null;
+    this.now = options.now || (() => new Date());
     this.debtItems = new Map();
+
+    if (this.ledgerFile && fs.existsSync(this.ledgerFile)) {
+      this.load();
+    }
+  }
+
+  load() {
+    const ledger = JSON.parse(fs.readFileSync(this.ledgerFile, 'utf8'));
+    this.debtItems = new Map(ledger.items.map(item => [item.id, {
+      ...item,
+      createdAt: new Date(item.createdAt),
+      resolvedAt: item.resolvedAt ? new Date(item.resolvedAt) : undefined
+    }]));
+  }
+
+  save() {
+    if (!this.ledgerFile) return;
+
+    const ledger = { version: 1, updatedAt: this.now().toISOString(), items: Array.from(this.debtItems.values()) };
+    const tmpFile = `${this.ledgerFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(ledger, null, 2) + '\n');
+    fs.renameSync(tmpFile, this.ledgerFile);
+  }
+
+  nextId() {
+    const highest = Array.from(this.debtItems.keys())
+      .map(id => parseInt(id.replace('debt-', ''), 10))
+      .filter(n => !Number.isNaN(n))
+      .reduce((max, n) => Math.max(max, n), 0);
+    return `debt-${String(highest + 1).padStart(4, '0')}`;
   }
 
   /**
    * GOOD: Record when we create reversibility debt
    */
   recordDebt(item) {
-    const id = `debt-${Date.now()}`;
+    const priority = item.priority || 'medium';
+    if (!DEBT_PRIORITIES.includes(priority)) {
+      throw new Error(`Unknown priority: ${priority} (expected ${DEBT_PRIORITIES.join(', ')})`);
+    }
+    const id = this.nextId();
 
     this.debtItems.set(id, {
       id,
       component: item.component,
       issue: item.issue,
       impact: item.impact,
-      createdAt: new Date(),
+      createdAt: this.now(),
       createdBy: item.createdBy,
       owner: item.owner,
       remediationPlan: item.remediationPlan,
       remediationTicket: item.remediationTicket,
-      priority: item.priority || 'medium',
+      priority,
       status: 'open'
     });
+    this.save();
 
     this.logger.warn({
       debtId: id,
@@ -881,18 +1560,30 @@ class ReversibilityDebtTracker {
     }, 'Reversibility debt recorded');
 
     // Alert if high priority
-    if (item.priority === 'high') {
+    if (priority === 'high') {
       this.alerting.warn(`High-priority reversibility debt: ${item.component} - ${item.issue}`);
     }
 
     return id;
   }
 
+  listDebt(filter = {}) {
+    return Array.from(this.debtItems.values())
+      .filter(item => !filter.status || item.status === filter.status)
+      .filter(item => !filter.priority || item.priority === filter.priority)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  ageInDays(item) {
+    return Math.floor((this.now() - item.createdAt) / (1000 * 60 * 60 * 24));
+  }
+
   /**
    * GOOD: Get audit report of all reversibility debt
    */
   getAuditReport() {
     const items = Array.from(this.debtItems.values());
+    const unresolved = items.filter(i => i.status !== 'resolved');
 
     const byPriority = {
       high: items.filter(i => i.priority === 'high'),
@@ -906,16 +1597,29 @@ class ReversibilityDebtTracker {
       resolved: items.filter(i => i.status === 'resolved')
     };
 
+    // Unresolved items per priority, split into age buckets
+    const ageBreakdown = {};
+    for (const priority of DEBT_PRIORITIES) {
+      ageBreakdown[priority] = Object.fromEntries(DEBT_AGE_BUCKETS.map(bucket => [bucket.label, 0]));
+      for (const item of unresolved.filter(i => i.priority === priority)) {
+        const age = this.ageInDays(item);
+        const bucket = DEBT_AGE_BUCKETS.find(b => age <= b.maxDays);
+        ageBreakdown[priority][bucket.label]++;
+      }
+    }
+
     return {
-      generatedAt: new Date(),
+      generatedAt: this.now(),
       summary: {
         total: items.length,
         open: byStatus.open.length,
         inProgress: byStatus.inProgress.length,
+        resolved: byStatus.resolved.length,
         highPriority: byPriority.high.length
       },
       byPriority,
       byStatus,
+      ageBreakdown,
       oldestOpenItem: items
         .filter(i => i.status === 'open')
         .sort((a, b) => a.createdAt - b.createdAt)[0],
@@ -935,10 +1639,7 @@ class ReversibilityDebtTracker {
       });
     }
 
-    const staleItems = items.filter(i => {
-      const age = (new Date() - i.createdAt) / (1000 * 60 * 60 * 24);
-      return i.status === 'open' && age > 90;
-    });
+    const staleItems = items.filter(i => i.status === 'open' && this.ageInDays(i) > 90);
     if (staleItems.length > 0) {
       recommendations.push({
         priority: 'high',
@@ -950,6 +1651,56 @@ class ReversibilityDebtTracker {
     return recommendations;
   }
 
+  /**
+   * GOOD: Render the audit report for humans - 'markdown' or 'html'
+   */
+  renderReport(format = 'markdown') {
+    const report = this.getAuditReport();
+    const sections = [
+      {
+        title: 'Summary',
+        headers: ['Total', 'Open', 'In progress', 'Resolved', 'High priority'],
+        rows: [[report.summary.total, report.summary.open, report.summary.inProgress, report.summary.resolved, report.summary.highPriority]]
+      },
+      {
+        title: 'Unresolved debt by priority and age',
+        headers: ['Priority', ...DEBT_AGE_BUCKETS.map(b => b.label), 'Total'],
+        rows: DEBT_PRIORITIES.map(priority => {
+          const counts = DEBT_AGE_BUCKETS.map(b => report.ageBreakdown[priority][b.label]);
+          return [priority, ...counts, counts.reduce((sum, n) => sum + n, 0)];
+        })
+      },
+      {
+        title: 'Unresolved items (oldest first)',
+        headers: ['ID', 'Component', 'Priority', 'Age (days)', 'Owner', 'Issue', 'Ticket'],
+        rows: this.listDebt().filter(i => i.status !== 'resolved').map(i => [
+          i.id, i.component, i.priority, this.ageInDays(i), i.owner || '-', i.issue, i.remediationTicket || '-'
+        ])
+      }
+    ];
+    const recommendations = report.recommendations.map(r => `[${r.priority}] ${r.message}: ${r.items.join(', ')}`);
+    const generatedAt = report.generatedAt.toISOString();
+
+    if (format === 'html') {
+      return renderHtmlReport(generatedAt, sections, recommendations);
+    }
+    if (format === 'markdown') {
+      return renderMarkdownReport(generatedAt, sections, recommendations);
+    }
+    throw new Error(`Unknown report format: ${format}`);
+  }
+
+  /**
+   * GOOD: CI gate - fails while high-priority debt is older than allowed
+   */
+  checkGate({ maxHighPriorityAgeDays = 30 } = {}) {
+    const violations = this.listDebt({ priority: 'high' })
+      .filter(item => item.status !== 'resolved' && this.ageInDays(item) > maxHighPriorityAgeDays)
+      .map(item => ({ id: item.id, component: item.component, ageDays: this.ageInDays(item), owner: item.owner }));
+
+    return { passed: violations.length === 0, maxHighPriorityAgeDays, violations };
+  }
+
   /**
    * GOOD: Check if a component has recovery capability
    */
@@ -987,8 +1738,9 @@ class ReversibilityDebtTracker {
     }
 
     item.status = 'resolved';
-    item.resolvedAt = new Date();
+    item.resolvedAt = this.now();
     item.resolution = resolution;
+    this.save();
 
     this.logger.info({
       debtId: id,
@@ -1000,6 +1752,170 @@ class ReversibilityDebtTracker {
   }
 }
 
+function renderMarkdownReport(generatedAt, sections, recommendations) {
+  const cell = value => String(value).replace(/\|/g, '\\|');
+  const lines = ['# Reversibility Debt Report', '', `Generated: ${generatedAt}`];
+
+  for (const section of sections) {
+    lines.push('', `## ${section.title}`, '');
+    if (section.rows.length === 0) {
+      lines.push('_None_');
+      continue;
+    }
+    lines.push(`| ${section.headers.map(cell).join(' | ')} |`);
+    lines.push(`| ${section.headers.map(() => '---').join(' | ')} |`);
+    section.rows.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+  }
+
+  lines.push('', '## Recommendations', '');
+  lines.push(...(recommendations.length > 0 ? recommendations.map(r => `- ${r}`) : ['_None_']));
+  return lines.join('\n') + '\n';
+}
+
+function renderHtmlReport(generatedAt, sections, recommendations) {
+  const escape = value => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html><head><meta charset="utf-8"><title>Reversibility Debt Report</title></head><body>',
+    '<h1>Reversibility Debt Report</h1>',
+    `<p>Generated: ${escape(generatedAt)}</p>`
+  ];
+
+  for (const section of sections) {
+    parts.push(`<h2>${escape(section.title)}</h2>`);
+    if (section.rows.length === 0) {
+      parts.push('<p><em>None</em></p>');
+      continue;
+    }
+    parts.push('<table>');
+    parts.push(`<tr>${section.headers.map(h => `<th>${escape(h)}</th>`).join('')}</tr>`);
+    section.rows.forEach(row => parts.push(`<tr>${row.map(v => `<td>${escape(v)}</td>`).join('')}</tr>`));
+    parts.push('</table>');
+  }
+
+  parts.push('<h2>Recommendations</h2>');
+  parts.push(recommendations.length > 0
+    ? `<ul>${recommendations.map(r => `<li>${escape(r)}</li>`).join('')}</ul>`
+    : '<p><em>None</em></p>');
+  parts.push('</body></html>');
+  return parts.join('\n') + '\n';
+}
+
+// =============================================================================
+// CLI: Reversibility Debt Ledger
+// =============================================================================
+
+const DEBT_CLI_USAGE = `Usage: node correct-implementation.js debt <command> [options]
+
+Commands:
+  add --component <name> --issue <text> [--priority high|medium|low]
+      [--owner <team>] [--impact <text>] [--plan <text>] [--ticket <id>]
+  resolve <id> --resolution <text>
+  list [--status open|in-progress|resolved] [--priority high|medium|low]
+  report [--format markdown|html] [--out <file>]
+  gate [--max-high-age-days <days>]     exits 1 when the gate fails
+
+Options:
+  --ledger <file>   ledger JSON file (default: $REVERSIBILITY_LEDGER or ./reversibility-ledger.json)`;
+
+/**
+ * Runs one CLI command and returns the process exit code
+ */
+function runDebtCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      ledger: { type: 'string' },
+      component: { type: 'string' },
+      issue: { type: 'string' },
+      priority: { type: 'string' },
+      owner: { type: 'string' },
+      impact: { type: 'string' },
+      plan: { type: 'string' },
+      ticket: { type: 'string' },
+      resolution: { type: 'string' },
+      status: { type: 'string' },
+      format: { type: 'string', default: 'markdown' },
+      out: { type: 'string' },
+      'max-high-age-days': { type: 'string', default: '30' }
+    }
+  });
+  const [command, ...rest] = positionals;
+
+  const ledgerFile = values.ledger || process.env.REVERSIBILITY_LEDGER || path.resolve('reversibility-ledger.json');
+  const quietLogger = { info: () => {}, warn: () => {}, error: (data, msg) => console.error(`[ERROR] ${msg}`) };
+  const alerting = { warn: message => console.error(`[ALERT] ${message}`) };
+  const tracker = new ReversibilityDebtTracker(quietLogger, alerting, { ledgerFile });
+
+  switch (command) {
+    case 'add': {
+      if (!values.component || !values.issue) {
+        console.error('add requires --component and --issue');
+        return 2;
+      }
+      const id = tracker.recordDebt({
+        component: values.component,
+        issue: values.issue,
+        priority: values.priority,
+        owner: values.owner,
+        impact: values.impact,
+        remediationPlan: values.plan,
+        remediationTicket: values.ticket,
+        createdBy: process.env.USER
+      });
+      console.log(id);
+      return 0;
+    }
+    case 'resolve': {
+      if (!rest[0] || !values.resolution) {
+        console.error('resolve requires an id and --resolution');
+        return 2;
+      }
+      tracker.resolveDebt(rest[0], values.resolution);
+      console.log(`${rest[0]} resolved`);
+      return 0;
+    }
+    case 'list': {
+      const items = tracker.listDebt({ status: values.status, priority: values.priority });
+      items.forEach(item => {
+        console.log(`${item.id}  ${item.status.padEnd(11)} ${item.priority.padEnd(6)} ${String(tracker.ageInDays(item)).padStart(4)}d  ${item.component}: ${item.issue}`);
+      });
+      if (items.length === 0) console.log('No matching debt items');
+      return 0;
+    }
+    case 'report': {
+      const output = tracker.renderReport(values.format);
+      if (values.out) {
+        fs.writeFileSync(values.out, output);
+        console.log(`Report written to ${values.out}`);
+      } else {
+        process.stdout.write(output);
+      }
+      return 0;
+    }
+    case 'gate': {
+      const maxHighPriorityAgeDays = Number(values['max-high-age-days']);
+      if (!Number.isFinite(maxHighPriorityAgeDays) || maxHighPriorityAgeDays < 0) {
+        console.error('--max-high-age-days must be a non-negative number');
+        return 2;
+      }
+      const gate = tracker.checkGate({ maxHighPriorityAgeDays });
+      if (gate.passed) {
+        console.log(`Reversibility gate passed: no high-priority debt older than ${maxHighPriorityAgeDays} days`);
+        return 0;
+      }
+      console.error(`Reversibility gate FAILED: ${gate.violations.length} high-priority item(s) older than ${maxHighPriorityAgeDays} days`);
+      gate.violations.forEach(v => console.error(`  ${v.id} ${v.component} (${v.ageDays}d, owner ${v.owner || 'unassigned'})`));
+      return 1;
+    }
+    default:
+      console.error(DEBT_CLI_USAGE);
+      return command ? 2 : 0;
+  }
+}
+
 // =============================================================================
 // USAGE EXAMPLE: The 3 AM Incident - But This Time We're Ready
 // =============================================================================
@@ -1019,8 +1935,22 @@ async function wellPreparedScenario() {
 
   console.log('=== 3:00 AM: ALERT! Error rate spike detected ===\n');
 
-  // Step 1: Check feature flags - can we disable the new feature?
+  // Step 1: Check feature flags - who is actually seeing the new feature, and why?
   const flags = new ManagedFeatureFlags(logger, metrics);
+  console.log('Who is on checkout-v2 right now?');
+  [
+    { userId: 'user-17', tenantId: 'tenant-acme' },
+    { userId: 'user-42', tenantId: 'tenant-acme' },
+    { userId: 'user-99', tenantId: 'tenant-internal' },
+    { userId: 'user-7', tenantId: 'tenant-regulated-eu', betaOptIn: true },
+    { userId: 'user-8', tenantId: 'tenant-acme', betaOptIn: true }
+  ].forEach(context => {
+    const { enabled, reason } = flags.evaluate('checkout-v2', context);
+    console.log(`  ${context.userId}: ${enabled ? 'ON ' : 'OFF'} (${reason})`);
+  });
+  console.log('');
+
+  // Can we disable the new feature?
   console.log('Checking if we can disable the problematic feature...');
 
   const disableResult = await flags.disableFlag('checkout-v2', 'Error rate spike at 3 AM');
@@ -1065,13 +1995,236 @@ async function wellPreparedScenario() {
   console.log('Customer impact: Minimal');
 }
 
-wellPreparedScenario();
+// =============================================================================
+// USAGE EXAMPLE: A Zero-Downtime Column Rename, Phase by Phase
+// =============================================================================
+
+function consoleLogger() {
+  return {
+    info: (data, msg) => console.log(`[INFO] ${msg}`, JSON.stringify(data)),
+    warn: (data, msg) => console.log(`[WARN] ${msg}`, JSON.stringify(data)),
+    error: (data, msg) => console.log(`[ERROR] ${msg}`, JSON.stringify(data))
+  };
+}
+
+async function zeroDowntimeMigrationScenario() {
+  const logger = consoleLogger();
+
+  // Mock database: backfill finds 1,250 rows, then the gap check finds none
+  const backfillBatches = [1000, 250];
+  const database = {
+    execute: async sql => ({
+      rowCount: sql.includes('SET contact_email = email') ? (backfillBatches.shift() || 0) : 0
+    })
+  };
+
+  console.log('\n=== Renaming users.email -> users.contact_email without downtime ===\n');
+  const migrations = new ForwardCompatibleMigrationManager(database, logger);
+  migrations.reportReader('web-1', { appVersion: 'v1.9.0', reads: ['users.email'] });
+  migrations.reportReader('web-2', { appVersion: 'v2.0.0', reads: ['users.contact_email'] });
+
+  await migrations.migrateEmailToContactEmail();
+  const migrationId = 'user-email-to-contact-email';
+  console.log('Status:', migrations.getStatus(migrationId));
+  console.log('');
+
+  console.log('Attempting contract while web-1 still runs v1.9.0...');
+  const refused = await migrations.advance(migrationId);
+  console.log('Contract applied:', refused.applied, '-', refused.reasons.join('; '));
+  console.log('');
+
+  console.log('Rolling back and re-applying switch-write (safe: email is still mirrored)...');
+  await migrations.rollbackLastPhase(migrationId, 'Rehearsing the recovery path');
+  await migrations.advance(migrationId);
+  console.log('');
+
+  console.log('web-1 upgraded to v2.0.0 - retrying contract...');
+  migrations.reportReader('web-1', { appVersion: 'v2.0.0', reads: ['users.contact_email'] });
+  const contracted = await migrations.advance(migrationId);
+  console.log('Contract applied:', contracted.applied);
+  console.log('');
+
+  console.log('Migration ledger:');
+  migrations.ledger.history(migrationId).forEach(entry => {
+    console.log(`  ${entry.phase.padEnd(12)} ${entry.status}`);
+  });
+}
+
+// =============================================================================
+// USAGE EXAMPLE: Canary Rollouts That Roll Themselves Back
+// =============================================================================
+
+async function canaryDeploymentScenario() {
+  const metrics = { increment: () => {}, timing: () => {} };
+  const deployment = new SelfServiceDeploymentSystem(consoleLogger(), metrics, { bakeTimeMs: 10 });
+  deployment.currentVersion = 'v2.3.0';
+
+  // v2.4.0 is healthy; v2.5.0 starts failing payments once it takes real traffic
+  deployment.collectCohortMetrics = async (version, cohort) => {
+    const percent = deployment.traffic.canaryPercent;
+    const broken = version === 'v2.5.0' && percent >= 10;
+    return {
+      version,
+      cohort,
+      errorRate: broken ? 0.034 : 0.002,
+      p99LatencyMs: broken ? 640 : 190,
+      conversionRate: broken ? 0.027 : 0.031
+    };
+  };
+
+  console.log('\n=== Progressive rollout of v2.4.0 ===\n');
+  const good = await deployment.deploy('v2.4.0');
+  console.log('Result:', { success: good.success, version: good.version });
+
+  console.log('\n=== Progressive rollout of v2.5.0 ===\n');
+  const bad = await deployment.deploy('v2.5.0');
+  console.log('Result:', { success: bad.success, rolledBack: bad.rolledBack, failedStage: bad.failedStage });
+  console.log('Serving:', deployment.currentVersion);
+
+  console.log('\n=== v2.5.0 again, halting instead of rolling back ===\n');
+  const halted = await deployment.deploy('v2.5.0', { autoRollbackOnFailure: false });
+  console.log('Result:', { success: halted.success, halted: halted.halted, failedStage: halted.failedStage });
+  console.log('Canary traffic after halt:', `${deployment.traffic.canaryPercent}%`);
+  try {
+    await deployment.deploy('v2.6.0');
+  } catch (error) {
+    console.log('Deploy while halted:', error.message);
+  }
+  await deployment.rollback('Operator: confirmed payment failures on v2.5.0');
+  console.log('Serving:', deployment.currentVersion);
+  const next = await deployment.deploy('v2.6.0');
+  console.log('Next rollout:', { success: next.success, previousVersion: next.previousVersion, rollbackCommand: next.rollbackCommand });
+
+  const unwired = new SelfServiceDeploymentSystem(consoleLogger(), metrics, { bakeTimeMs: 10 });
+  unwired.currentVersion = 'v2.3.0';
+  const blind = await unwired.deploy('v2.4.0');
+  console.log('\nRollout without a metrics source:', { success: blind.success, rolledBack: blind.rolledBack, breaches: blind.breaches });
+
+  console.log('\nStage transitions:');
+  deployment.deploymentHistory.forEach(entry => {
+    const steps = entry.stageTransitions.map(t => `${t.event}@${t.percent}%`).join(' -> ');
+    console.log(`  ${entry.version} (${entry.status}): ${steps}`);
+  });
+}
+
+// =============================================================================
+// USAGE EXAMPLE: Three API Versions, One Handler
+// =============================================================================
+
+async function apiVersioningScenario() {
+  let today = new Date('2025-08-01T12:00:00Z');
+  const api = new VersionedApiManager(
+    { info: () => {}, warn: () => {}, error: () => {} },
+    { increment: () => {} },
+    { now: () => today }
+  );
+
+  console.log('\n=== Version pinning and transformer chain ===\n');
+  api.pinClient('legacy-erp', '2024-03-15');
+  api.pinClient('mobile-app', '2024-11-01');
+
+  const legacy = await api.handleRequest({ clientId: 'legacy-erp', method: 'GET' });
+  console.log('legacy-erp (pinned 2024-03-15):', JSON.stringify(legacy.body));
+  console.log('  headers:', JSON.stringify(legacy.headers));
+
+  const mobile = await api.handleRequest({
+    clientId: 'mobile-app',
+    method: 'PATCH',
+    body: { attributes: { emailAddress: 'john.doe@example.com' } }
+  });
+  console.log('mobile-app (pinned 2024-11-01) PATCH:', JSON.stringify(mobile.body));
+
+  const fresh = await api.handleRequest({ clientId: 'new-partner', method: 'GET' });
+  console.log('new-partner (auto-pinned):', JSON.stringify(fresh.body), fresh.headers['Api-Version']);
+
+  const anonymous = await api.handleRequest({ method: 'GET' });
+  const lowercase = await api.handleRequest({ method: 'GET', headers: { 'accept-version': 'v3' } });
+  console.log('anonymous, no header:', anonymous.headers['Api-Version'], '| accept-version: v3 ->', lowercase.headers['Api-Version']);
+
+  console.log('\nCan we remove v1 on 2025-08-01?');
+  console.log(' ', api.canRemoveVersion('v1').recommendation);
+
+  console.log('\nlegacy-erp upgrades to the 2025-06-01 API; six weeks pass...');
+  api.pinClient('legacy-erp', '2025-06-01');
+  today = new Date('2025-09-15T12:00:00Z');
+  const removal = api.canRemoveVersion('v1');
+  console.log(`  canRemove: ${removal.canRemove} - ${removal.recommendation}`);
+}
+
+// =============================================================================
+// USAGE EXAMPLE: A Persisted Debt Ledger as a CI Gate
+// =============================================================================
+
+async function debtLedgerScenario() {
+  const ledgerFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rcp-ledger-')), 'reversibility-ledger.json');
+  let today = new Date('2025-03-01T09:00:00Z');
+  const quietLogger = { info: () => {}, warn: () => {}, error: () => {} };
+  const tracker = new ReversibilityDebtTracker(quietLogger, { warn: () => {} }, { ledgerFile, now: () => today });
+
+  console.log('\n=== Reversibility debt ledger ===\n');
+  tracker.recordDebt({
+    component: 'billing-service',
+    issue: 'Invoice numbering switched to a new sequence; old sequence not restorable',
+    priority: 'high',
+    owner: 'team-billing',
+    remediationTicket: 'BILL-412'
+  });
+  today = new Date('2025-05-20T09:00:00Z');
+  const cacheDebt = tracker.recordDebt({
+    component: 'search-indexer',
+    issue: 'Index format v7 cannot be read by indexer v6',
+    priority: 'medium',
+    owner: 'team-search'
+  });
+  tracker.recordDebt({
+    component: 'notifications',
+    issue: 'Emails already sent cannot be recalled',
+    priority: 'low',
+    owner: 'team-growth'
+  });
+  today = new Date('2025-06-01T09:00:00Z');
+  tracker.resolveDebt(cacheDebt, 'Indexer v6 can now read v7 indexes');
+
+  // A second process (e.g. the CLI in CI) sees the same ledger
+  const reloaded = new ReversibilityDebtTracker(quietLogger, { warn: () => {} }, { ledgerFile, now: () => today });
+  console.log(reloaded.renderReport('markdown'));
+
+  const gate = reloaded.checkGate({ maxHighPriorityAgeDays: 60 });
+  console.log(`Gate (high priority <= 60 days): ${gate.passed ? 'PASSED' : 'FAILED'}`,
+    gate.violations.map(v => `${v.id} ${v.component} ${v.ageDays}d`));
+  console.log('CLI equivalent: node correct-implementation.js debt gate --ledger reversibility-ledger.json --max-high-age-days 60');
+
+  fs.rmSync(path.dirname(ledgerFile), { recursive: true, force: true });
+}
+
+if (require.main === module) {
+  const [mode, ...args] = process.argv.slice(2);
+  if (mode === 'debt') {
+    try {
+      process.exitCode = runDebtCli(args);
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 2;
+    }
+  } else {
+    wellPreparedScenario()
+      .then(zeroDowntimeMigrationScenario)
+      .then(canaryDeploymentScenario)
+      .then(apiVersioningScenario)
+      .then(debtLedgerScenario);
+  }
+}
 
 module.exports = {
+  MIGRATION_PHASES,
+  MigrationLedger,
   ForwardCompatibleMigrationManager,
   ManagedFeatureFlags,
   RecoverableOrderProcessor,
+  DEFAULT_CANARY_STAGES,
+  evaluateCanary,
   SelfServiceDeploymentSystem,
   VersionedApiManager,
-  ReversibilityDebtTracker
+  ReversibilityDebtTracker,
+  runDebtCli
 };
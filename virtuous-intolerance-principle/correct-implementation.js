@@ -12,23 +12,2221 @@
  * - Failing fast on quality issues (targets code, not coders)
  * - Enforcing standards consistently through automation
  * - Preventing technical debt accumulation through continuous integrity
+ * - Precise, AST- and scope-aware rule plugins that report exact line and column, run over
+ *   a dependency-free in-file parser and a real scope model
+ * - An incremental build cached by content hash, with watch mode and SARIF/JUnit report export
+ * - Reviewable auto-fix: per-rule fixers, var-to-let only for provably block-local bindings,
+ *   dry-run unified diffs, conflict detection, and re-parsing and re-validation of every result
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Source analysis
+ *
+ * Rules inspect an ESTree AST (from the in-file JavaScriptParser, so the validator needs no
+ * packages) and a scope model built from it, instead of raw text or tokens. Numbers inside
+ * strings, keywords inside comments, shadowed names and regex vs. division ambiguities are
+ * settled by the parser. Every node carries its exact line and column, which every diagnostic
+ * inherits.
+ */
+class SourceSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(message);
+    this.name = 'SourceSyntaxError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * A dependency-free JavaScript parser producing the ESTree subset the rules need
+ *
+ * It covers modern syntax (classes with private members, destructuring, async functions and
+ * generators, optional chaining, templates, modules) and raises the early errors the auto-fixer
+ * relies on, such as a redeclared lexical binding. The tokenizer reads one token ahead; when the
+ * parser expects an operand and finds `/` or a template's closing `}`, it re-scans from there, so
+ * regex vs. division is decided by the grammar rather than guessed.
+ */
+const KEYWORDS = new Set((
+  'break case catch class const continue debugger default delete do else export extends finally for function ' +
+  'if import in instanceof new return super switch this throw try typeof var void while with null true false'
+).split(' '));
+const STRICT_RESERVED = new Set('implements interface let package private protected public static yield'.split(' '));
+const PUNCTUATORS = ['>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=', '=>', '==', '!=',
+  '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>'];
+const SINGLE_PUNCTUATORS = '{}()[];,<>+-*/%&|^!~?:=.@';
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=']);
+const BINARY_PRECEDENCE = {
+  '??': 1, '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5, '==': 6, '!=': 6, '===': 6, '!==': 6,
+  '<': 7, '>': 7, '<=': 7, '>=': 7, instanceof: 7, in: 7, '<<': 8, '>>': 8, '>>>': 8,
+  '+': 9, '-': 9, '*': 10, '/': 10, '%': 10, '**': 11
+};
+const LOGICAL_OPERATORS = new Set(['||', '&&', '??']);
+const PREFIX_OPERATORS = new Set(['!', '~', '+', '-', 'typeof', 'void', 'delete']);
+const ID_START = /[\p{ID_Start}$_]/u;
+const ID_CONTINUE = /[\p{ID_Continue}$\u200c\u200d]/u;
+const LINE_BREAK = /\r\n?|[\n\u2028\u2029]/g;
+const isLineBreak = ch => ch === '\n' || ch === '\r' || ch === '\u2028' || ch === '\u2029';
+
+/**
+ * 1-based line and 0-based column of an offset, the same convention AST `loc` uses
+ */
+function getLineInfo(code, offset) {
+  let line = 1;
+  let lineStart = 0;
+  for (const match of code.matchAll(LINE_BREAK)) {
+    if (match.index >= offset) break;
+    line++;
+    lineStart = match.index + match[0].length;
+  }
+  return { line, column: offset - lineStart };
+}
+
+// Names bound by a declaration pattern, e.g. `{ a, b: [c] = [] }` binds a and c
+function boundIdentifiers(pattern, found = []) {
+  switch (pattern.type) {
+    case 'Identifier':
+      found.push(pattern);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(property => boundIdentifiers(property.type === 'RestElement' ? property.argument : property.value, found));
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(element => element && boundIdentifiers(element, found));
+      break;
+    case 'AssignmentPattern':
+      boundIdentifiers(pattern.left, found);
+      break;
+    case 'RestElement':
+      boundIdentifiers(pattern.argument, found);
+      break;
+  }
+  return found;
+}
+
+class JavaScriptParser {
+  constructor(code, sourceType) {
+    this.code = code;
+    this.inModule = sourceType === 'module';
+    this.comments = [];
+    this.lineStarts = [0];
+    for (const match of code.matchAll(LINE_BREAK)) this.lineStarts.push(match.index + match[0].length);
+    this.pos = code.startsWith('#!') ? this.lineStarts.length > 1 ? code.search(LINE_BREAK) : code.length : 0;
+    this.context = { inFunction: false, inAsync: this.inModule, inGenerator: false, allowNewTarget: false };
+    this.exportedNames = new Set();
+    this.undefinedExports = new Map(); // `export { name }` seen before (or without) a top-level declaration
+    this.scopes = [];
+    this.privateNames = []; // per enclosing class: names declared, and `#name` uses still to resolve
+    this.bareArrows = new WeakSet(); // arrow functions not wrapped in parentheses take no subscripts
+    this.prevEnd = 0;
+    this.tok = this.readToken();
+  }
+
+  // ---- Tokenizer ----
+
+  position(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - this.lineStarts[low] };
+  }
+
+  raise(offset, message) {
+    const { line, column } = this.position(offset);
+    throw new SourceSyntaxError(message, line, column + 1);
+  }
+
+  unexpected(token = this.tok) {
+    this.raise(token.start, 'Unexpected token');
+  }
+
+  // Skips whitespace and comments; returns whether a line break was crossed (for ASI)
+  skipSpace() {
+    const { code } = this;
+    let newline = false;
+    while (this.pos < code.length) {
+      const ch = code[this.pos];
+      if (isLineBreak(ch)) {
+        newline = true;
+        this.pos++;
+      } else if (/\s/.test(ch) || ch === '\ufeff') {
+        this.pos++;
+      } else if (ch === '/' && code[this.pos + 1] === '/') {
+        const start = this.pos;
+        let end = start + 2;
+        while (end < code.length && !isLineBreak(code[end])) end++;
+        this.comments.push({ type: 'Line', value: code.slice(start + 2, end), start, end });
+        this.pos = end;
+      } else if (ch === '/' && code[this.pos + 1] === '*') {
+        const start = this.pos;
+        const end = code.indexOf('*/', start + 2);
+        if (end === -1) this.raise(start, 'Unterminated comment');
+        const value = code.slice(start + 2, end);
+        if (/[\n\r\u2028\u2029]/.test(value)) newline = true;
+        this.comments.push({ type: 'Block', value, start, end: end + 2 });
+        this.pos = end + 2;
+      } else {
+        break;
+      }
+    }
+    return newline;
+  }
+
+  readToken() {
+    const nlBefore = this.skipSpace();
+    const { code } = this;
+    const start = this.pos;
+    const token = (type, value, extra) => ({ type, value, start, end: this.pos, nlBefore, ...extra });
+    if (start >= code.length) return token('eof', null);
+
+    const ch = String.fromCodePoint(code.codePointAt(start));
+    if (ID_START.test(ch) || ch === '\\') {
+      const { word, escaped } = this.readWord();
+      return token('name', word, { escaped });
+    }
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(code[start + 1] || ''))) return this.readNumber(start, nlBefore);
+    if (ch === '"' || ch === "'") {
+      const value = this.readString(ch, start);
+      return token('string', value);
+    }
+    if (ch === '`') return { ...this.readTemplateToken(start), nlBefore };
+    if (ch === '#') {
+      this.pos++;
+      const { word } = this.readWord();
+      if (!word) this.raise(start, "Unexpected character '#'");
+      return token('privateName', word);
+    }
+    // `a?.5:1` is a conditional, not optional chaining
+    if (ch === '?' && code[start + 1] === '.' && /[0-9]/.test(code[start + 2] || '')) {
+      this.pos++;
+      return token('punct', '?');
+    }
+    const punctuator = PUNCTUATORS.find(p => code.startsWith(p, start)) || (SINGLE_PUNCTUATORS.includes(ch) ? ch : null);
+    if (!punctuator) this.raise(start, `Unexpected character '${ch}'`);
+    this.pos += punctuator.length;
+    return token('punct', punctuator);
+  }
+
+  readWord() {
+    let word = '';
+    let escaped = false;
+    while (this.pos < this.code.length) {
+      const ch = String.fromCodePoint(this.code.codePointAt(this.pos));
+      if (ch === '\\') {
+        const match = /^\\u(?:\{([0-9a-fA-F]+)\}|([0-9a-fA-F]{4}))/.exec(this.code.slice(this.pos, this.pos + 12));
+        if (!match) this.raise(this.pos, 'Expecting Unicode escape sequence \\uXXXX');
+        word += String.fromCodePoint(parseInt(match[1] || match[2], 16));
+        this.pos += match[0].length;
+        escaped = true;
+      } else if (word === '' ? ID_START.test(ch) : ID_CONTINUE.test(ch)) {
+        word += ch;
+        this.pos += ch.length;
+      } else {
+        break;
+      }
+    }
+    return { word, escaped };
+  }
+
+  readNumber(start, nlBefore) {
+    const match = /^(?:0[xX][0-9a-fA-F_]+n?|0[oO][0-7_]+n?|0[bB][01_]+n?|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?n?)/
+      .exec(this.code.slice(start));
+    const raw = match[0];
+    this.pos = start + raw.length;
+    if (this.pos < this.code.length && ID_START.test(String.fromCodePoint(this.code.codePointAt(this.pos)))) {
+      this.raise(this.pos, 'Identifier directly after number');
+    }
+    const digits = raw.replace(/_/g, '');
+    let value;
+    if (digits.endsWith('n')) value = BigInt(digits.slice(0, -1));
+    else if (/^0[0-7]+$/.test(digits)) value = parseInt(digits, 8); // legacy octal
+    else value = Number(digits);
+    return { type: 'num', value, start, end: this.pos, nlBefore };
+  }
+
+  // Decodes one escape sequence at `pos`; returns [text, nextPos]
+  readEscape(pos) {
+    const { code } = this;
+    const ch = code[pos + 1];
+    if (ch === undefined) this.raise(pos, 'Unterminated string constant');
+    if (ch === '\r') return ['', code[pos + 2] === '\n' ? pos + 3 : pos + 2]; // line continuation
+    if (isLineBreak(ch)) return ['', pos + 2];
+    const simple = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v' };
+    if (simple[ch]) return [simple[ch], pos + 2];
+    if (ch === '0' && !/[0-9]/.test(code[pos + 2] || '')) return ['\0', pos + 2];
+    const hex = ch === 'x' ? /^\\x([0-9a-fA-F]{2})/.exec(code.slice(pos, pos + 4))
+      : ch === 'u' ? /^\\u(?:\{([0-9a-fA-F]+)\}|([0-9a-fA-F]{4}))/.exec(code.slice(pos, pos + 12)) : null;
+    if (hex) return [String.fromCodePoint(parseInt(hex[1] || hex[2], 16)), pos + hex[0].length];
+    if (ch === 'x' || ch === 'u') this.raise(pos, 'Bad character escape sequence');
+    const cp = code.codePointAt(pos + 1);
+    return [String.fromCodePoint(cp), pos + 1 + (cp > 0xffff ? 2 : 1)];
+  }
+
+  readString(quote, start) {
+    const { code } = this;
+    let value = '';
+    let pos = start + 1;
+    for (;;) {
+      if (pos >= code.length || code[pos] === '\n' || code[pos] === '\r') this.raise(start, 'Unterminated string constant');
+      const ch = code[pos];
+      if (ch === quote) break;
+      if (ch === '\\') {
+        const [text, next] = this.readEscape(pos);
+        value += text;
+        pos = next;
+      } else {
+        value += ch;
+        pos++;
+      }
+    }
+    this.pos = pos + 1;
+    return value;
+  }
+
+  // Reads a template chunk that starts at a backtick or at the `}` closing a substitution
+  readTemplateToken(start) {
+    const { code } = this;
+    let cooked = '';
+    let pos = start + 1;
+    let tail;
+    let invalidEscape = null;
+    for (;;) {
+      if (pos >= code.length) this.raise(start, 'Unterminated template');
+      const ch = code[pos];
+      if (ch === '`') {
+        tail = true;
+        break;
+      }
+      if (ch === '$' && code[pos + 1] === '{') {
+        tail = false;
+        break;
+      }
+      if (ch === '\\') {
+        // Tagged templates may hold invalid escapes; their cooked value is then null
+        try {
+          const [text, next] = this.readEscape(pos);
+          if (cooked !== null) cooked += text;
+          pos = next;
+        } catch (error) {
+          if (!(error instanceof SourceSyntaxError) || code[pos + 1] === undefined) throw error;
+          invalidEscape = invalidEscape === null ? pos : invalidEscape;
+          cooked = null;
+          pos += 2;
+        }
+      } else if (cooked === null) {
+        pos++;
+      } else if (ch === '\r') {
+        cooked += '\n';
+        pos += code[pos + 1] === '\n' ? 2 : 1;
+      } else {
+        cooked += ch;
+        pos++;
+      }
+    }
+    const raw = code.slice(start + 1, pos).replace(/\r\n?/g, '\n');
+    this.pos = pos + (tail ? 1 : 2);
+    return { type: 'template', value: { raw, cooked }, tail, invalidEscape, start, end: this.pos, contentStart: start + 1, contentEnd: pos, nlBefore: false };
+  }
+
+  readRegexp(start) {
+    const { code } = this;
+    let pos = start + 1;
+    let inClass = false;
+    for (;; pos++) {
+      const ch = code[pos];
+      if (ch === undefined || isLineBreak(ch)) this.raise(start, 'Unterminated regular expression');
+      if (ch === '\\') {
+        pos++;
+        if (code[pos] === undefined || isLineBreak(code[pos])) this.raise(start, 'Unterminated regular expression');
+      } else if (ch === '[') {
+        inClass = true;
+      } else if (ch === ']') {
+        inClass = false;
+      } else if (ch === '/' && !inClass) {
+        break;
+      }
+    }
+    const pattern = code.slice(start + 1, pos);
+    let end = pos + 1;
+    while (end < code.length && ID_CONTINUE.test(code[end])) end++;
+    const flags = code.slice(pos + 1, end);
+    let value;
+    try {
+      value = new RegExp(pattern, flags);
+    } catch (error) {
+      this.raise(start, error.message);
+    }
+    this.pos = end;
+    return { type: 'regexp', value: { pattern, flags, value }, start, end, nlBefore: this.tok.nlBefore };
+  }
+
+  // ---- Token helpers ----
+
+  next() {
+    this.prevEnd = this.tok.end;
+    this.tok = this.readToken();
+  }
+
+  peek() {
+    const saved = { pos: this.pos, tok: this.tok, prevEnd: this.prevEnd, comments: this.comments.length };
+    this.next();
+    const peeked = this.tok;
+    this.pos = saved.pos;
+    this.tok = saved.tok;
+    this.prevEnd = saved.prevEnd;
+    this.comments.length = saved.comments;
+    return peeked;
+  }
+
+  is(value, token = this.tok) {
+    return token.type === 'punct' && token.value === value;
+  }
+
+  isName(value, token = this.tok) {
+    return token.type === 'name' && token.value === value && !token.escaped;
+  }
+
+  eat(value) {
+    if (!this.is(value)) return false;
+    this.next();
+    return true;
+  }
+
+  eatName(value) {
+    if (!this.isName(value)) return false;
+    this.next();
+    return true;
+  }
+
+  expect(value) {
+    if (!this.eat(value)) this.unexpected();
+  }
+
+  expectName(value) {
+    if (!this.eatName(value)) this.unexpected();
+  }
+
+  canInsertSemicolon() {
+    return this.tok.type === 'eof' || this.is('}') || this.tok.nlBefore;
+  }
+
+  semicolon() {
+    if (!this.eat(';') && !this.canInsertSemicolon()) this.unexpected();
+  }
+
+  // Whether a token can begin a property or class member name
+  startsPropertyName(token) {
+    return ['name', 'string', 'num', 'privateName'].includes(token.type) || this.is('[', token);
+  }
+
+  // ---- Nodes and scopes ----
+
+  startNode(start = this.tok.start) {
+    return { type: '', start, end: 0, loc: null };
+  }
+
+  finishNode(node, type, end = this.prevEnd) {
+    node.type = type;
+    node.end = end;
+    node.loc = { start: this.position(node.start), end: this.position(end) };
+    return node;
+  }
+
+  copyNode(node) {
+    return { ...node, loc: { start: { ...node.loc.start }, end: { ...node.loc.end } } };
+  }
+
+  enterScope(kind) {
+    this.scopes.push({ kind, var: new Set(), lexical: new Set(), functions: new Set(), catchParam: null });
+  }
+
+  exitScope() {
+    this.scopes.pop();
+  }
+
+  // Function declarations act like var at the top of a function (or of a script), and lexically elsewhere
+  functionsAsVar(scope) {
+    return scope.kind === 'function' || (scope.kind === 'top' && !this.inModule);
+  }
+
+  declareName(identifier, binding) {
+    const { name } = identifier;
+    const scope = this.scopes[this.scopes.length - 1];
+    let redeclared = false;
+    if (binding === 'lexical') {
+      redeclared = scope.lexical.has(name) || scope.functions.has(name) || scope.var.has(name);
+      scope.lexical.add(name);
+    } else if (binding === 'catch') {
+      scope.lexical.add(name);
+      scope.catchParam = name;
+    } else if (binding === 'function') {
+      redeclared = scope.lexical.has(name) || (!this.functionsAsVar(scope) && scope.var.has(name));
+      scope.functions.add(name);
+    } else {
+      // var and parameters: hoist to the nearest function scope, clashing with lexical names on the way
+      for (let i = this.scopes.length - 1; i >= 0; i--) {
+        const current = this.scopes[i];
+        if ((current.lexical.has(name) && current.catchParam !== name) ||
+          (!this.functionsAsVar(current) && current.functions.has(name))) {
+          redeclared = true;
+          break;
+        }
+        current.var.add(name);
+        if (current.kind === 'function' || current.kind === 'top') break;
+      }
+    }
+    if (redeclared) this.raise(identifier.start, `Identifier '${name}' has already been declared`);
+    const hoistedToTop = binding === 'var' && !this.scopes.some(current => current.kind === 'function');
+    if (this.scopes.length === 1 || hoistedToTop) this.undefinedExports.delete(name);
+  }
+
+  withFunctionContext({ isAsync, isGenerator, isArrow = false }, parse) {
+    const saved = this.context;
+    this.context = { inFunction: true, inAsync: isAsync, inGenerator: isGenerator, allowNewTarget: !isArrow || saved.allowNewTarget };
+    this.enterScope('function');
+    try {
+      return parse();
+    } finally {
+      this.exitScope();
+      this.context = saved;
+    }
+  }
+
+  // ---- Statements ----
+
+  parseProgram() {
+    const program = this.startNode(0);
+    program.body = [];
+    this.enterScope('top');
+    while (this.tok.type !== 'eof') program.body.push(this.parseStatement(true));
+    for (const [name, local] of this.undefinedExports) this.raise(local.start, `Export '${name}' is not defined`);
+    program.sourceType = this.inModule ? 'module' : 'script';
+    return this.finishNode(program, 'Program', this.code.length);
+  }
+
+  parseStatement(topLevel = false) {
+    const { tok } = this;
+    if (this.is('{')) return this.parseBlock();
+    if (this.is(';')) {
+      const node = this.startNode();
+      this.next();
+      return this.finishNode(node, 'EmptyStatement');
+    }
+    if (tok.type === 'name' && !tok.escaped) {
+      const node = this.startNode();
+      switch (tok.value) {
+        case 'var':
+        case 'const':
+          return this.parseVarStatement(node, tok.value);
+        case 'let':
+          if (this.startsLetDeclaration()) return this.parseVarStatement(node, 'let');
+          break;
+        case 'function':
+          return this.parseFunction(node, { isStatement: true });
+        case 'async': {
+          const next = this.peek();
+          if (this.isName('function', next) && !next.nlBefore) {
+            this.next();
+            return this.parseFunction(node, { isStatement: true, isAsync: true });
+          }
+          break;
+        }
+        case 'class':
+          return this.parseClass(node, true);
+        case 'if':
+          this.next();
+          node.test = this.parseParenExpression();
+          node.consequent = this.parseStatement();
+          node.alternate = this.eatName('else') ? this.parseStatement() : null;
+          return this.finishNode(node, 'IfStatement');
+        case 'for':
+          return this.parseFor(node);
+        case 'while':
+          this.next();
+          node.test = this.parseParenExpression();
+          node.body = this.parseStatement();
+          return this.finishNode(node, 'WhileStatement');
+        case 'do':
+          this.next();
+          node.body = this.parseStatement();
+          this.expectName('while');
+          node.test = this.parseParenExpression();
+          this.eat(';');
+          return this.finishNode(node, 'DoWhileStatement');
+        case 'return':
+          if (!this.context.inFunction) this.raise(tok.start, "'return' outside of function");
+          this.next();
+          node.argument = null;
+          if (!this.eat(';') && !this.canInsertSemicolon()) {
+            node.argument = this.parseExpression();
+            this.semicolon();
+          }
+          return this.finishNode(node, 'ReturnStatement');
+        case 'break':
+        case 'continue':
+          this.next();
+          node.label = null;
+          if (!this.eat(';')) {
+            if (!this.canInsertSemicolon() && this.tok.type === 'name') node.label = this.parseIdent();
+            this.semicolon();
+          }
+          return this.finishNode(node, tok.value === 'break' ? 'BreakStatement' : 'ContinueStatement');
+        case 'throw':
+          this.next();
+          if (this.tok.nlBefore) this.raise(this.prevEnd, 'Illegal newline after throw');
+          node.argument = this.parseExpression();
+          this.semicolon();
+          return this.finishNode(node, 'ThrowStatement');
+        case 'try':
+          return this.parseTry(node);
+        case 'switch':
+          return this.parseSwitch(node);
+        case 'with':
+          if (this.inModule) this.raise(tok.start, "'with' in strict mode");
+          this.next();
+          node.object = this.parseParenExpression();
+          node.body = this.parseStatement();
+          return this.finishNode(node, 'WithStatement');
+        case 'debugger':
+          this.next();
+          this.semicolon();
+          return this.finishNode(node, 'DebuggerStatement');
+        case 'import': {
+          const next = this.peek();
+          if (this.is('(', next) || this.is('.', next)) break;
+          this.checkModuleItem(topLevel);
+          return this.parseImport(node);
+        }
+        case 'export':
+          this.checkModuleItem(topLevel);
+          return this.parseExport(node);
+      }
+    }
+
+    const node = this.startNode();
+    const expression = this.parseExpression();
+    if (expression.type === 'Identifier' && this.is(':') && tok.type === 'name') {
+      this.next();
+      node.label = expression;
+      node.body = this.parseStatement();
+      return this.finishNode(node, 'LabeledStatement');
+    }
+    node.expression = expression;
+    this.semicolon();
+    return this.finishNode(node, 'ExpressionStatement');
+  }
+
+  checkModuleItem(topLevel) {
+    if (!this.inModule) this.raise(this.tok.start, "'import' and 'export' may appear only with 'sourceType: module'");
+    if (!topLevel) this.raise(this.tok.start, "'import' and 'export' may only appear at the top level");
+  }
+
+  startsLetDeclaration() {
+    const next = this.peek();
+    return (next.type === 'name' && !this.isName('in', next) && !this.isName('instanceof', next)) ||
+      this.is('[', next) || this.is('{', next);
+  }
+
+  parseBlock(newScope = true) {
+    const node = this.startNode();
+    node.body = [];
+    this.expect('{');
+    if (newScope) this.enterScope('block');
+    while (!this.eat('}')) {
+      if (this.tok.type === 'eof') this.unexpected();
+      node.body.push(this.parseStatement());
+    }
+    if (newScope) this.exitScope();
+    return this.finishNode(node, 'BlockStatement');
+  }
+
+  parseParenExpression() {
+    this.expect('(');
+    const expression = this.parseExpression();
+    this.expect(')');
+    return expression;
+  }
+
+  parseVarStatement(node, kind) {
+    this.next();
+    this.parseVarDeclarations(node, kind, false);
+    this.semicolon();
+    return this.finishNode(node, 'VariableDeclaration');
+  }
+
+  parseVarDeclarations(node, kind, noIn) {
+    node.declarations = [];
+    node.kind = kind;
+    do {
+      const declarator = this.startNode();
+      declarator.id = this.parseBindingAtom();
+      boundIdentifiers(declarator.id).forEach(id => this.declareName(id, kind === 'var' ? 'var' : 'lexical'));
+      declarator.init = this.eat('=') ? this.parseMaybeAssign(noIn) : null;
+      // A for-in/of head supplies the value itself
+      if (!declarator.init && !(noIn && (this.isName('in') || this.isName('of')))) {
+        if (kind === 'const') this.raise(this.tok.start, 'Missing initializer in const declaration');
+        if (declarator.id.type !== 'Identifier') this.raise(this.prevEnd, 'Complex binding patterns require an initialization value');
+      }
+      node.declarations.push(this.finishNode(declarator, 'VariableDeclarator'));
+    } while (this.eat(','));
+    return node;
+  }
+
+  parseFor(node) {
+    this.next();
+    const isAwait = this.context.inAsync && this.eatName('await');
+    this.expect('(');
+    this.enterScope('block');
+    let init = null;
+    if (!this.is(';')) {
+      const kind = this.isName('var') || this.isName('const') ? this.tok.value
+        : this.isName('let') && this.startsLetDeclaration() ? 'let' : null;
+      if (kind) {
+        init = this.startNode();
+        this.next();
+        this.finishNode(this.parseVarDeclarations(init, kind, true), 'VariableDeclaration');
+        if ((this.isName('of') || this.isName('in')) && init.declarations.length === 1) return this.parseForIn(node, init, isAwait);
+      } else {
+        init = this.parseExpression(true);
+        if (this.isName('of') || this.isName('in')) return this.parseForIn(node, this.toAssignable(init), isAwait);
+      }
+    }
+    node.init = init;
+    this.expect(';');
+    node.test = this.is(';') ? null : this.parseExpression();
+    this.expect(';');
+    node.update = this.is(')') ? null : this.parseExpression();
+    this.expect(')');
+    node.body = this.parseStatement();
+    this.exitScope();
+    return this.finishNode(node, 'ForStatement');
+  }
+
+  parseForIn(node, left, isAwait) {
+    const isOf = this.isName('of');
+    this.next();
+    if (isOf) node.await = isAwait;
+    node.left = left;
+    node.right = isOf ? this.parseMaybeAssign() : this.parseExpression();
+    this.expect(')');
+    node.body = this.parseStatement();
+    this.exitScope();
+    return this.finishNode(node, isOf ? 'ForOfStatement' : 'ForInStatement');
+  }
+
+  parseTry(node) {
+    this.next();
+    node.block = this.parseBlock();
+    node.handler = null;
+    if (this.isName('catch')) {
+      const clause = this.startNode();
+      this.next();
+      if (this.eat('(')) {
+        clause.param = this.parseBindingAtom();
+        // A plain catch parameter shares its scope with the catch body
+        const simple = clause.param.type === 'Identifier';
+        this.enterScope('catch');
+        boundIdentifiers(clause.param).forEach(id => this.declareName(id, simple ? 'catch' : 'lexical'));
+        this.expect(')');
+        clause.body = this.parseBlock(false);
+        this.exitScope();
+      } else {
+        clause.param = null;
+        clause.body = this.parseBlock();
+      }
+      node.handler = this.finishNode(clause, 'CatchClause');
+    }
+    node.finalizer = this.eatName('finally') ? this.parseBlock() : null;
+    if (!node.handler && !node.finalizer) this.raise(this.tok.start, 'Missing catch or finally clause');
+    return this.finishNode(node, 'TryStatement');
+  }
+
+  parseSwitch(node) {
+    this.next();
+    node.discriminant = this.parseParenExpression();
+    node.cases = [];
+    this.expect('{');
+    this.enterScope('block');
+    while (!this.eat('}')) {
+      const switchCase = this.startNode();
+      if (this.eatName('case')) {
+        switchCase.test = this.parseExpression();
+      } else {
+        this.expectName('default');
+        switchCase.test = null;
+      }
+      this.expect(':');
+      switchCase.consequent = [];
+      while (!this.is('}') && !this.isName('case') && !this.isName('default')) {
+        if (this.tok.type === 'eof') this.unexpected();
+        switchCase.consequent.push(this.parseStatement());
+      }
+      node.cases.push(this.finishNode(switchCase, 'SwitchCase'));
+    }
+    this.exitScope();
+    return this.finishNode(node, 'SwitchStatement');
+  }
+
+  parseFunction(node, { isStatement, isAsync = false, idOptional = false }) {
+    this.expectName('function');
+    const isGenerator = this.eat('*');
+    node.id = null;
+    if (this.tok.type === 'name') {
+      node.id = this.parseIdent();
+      // Strict code, async functions and generators bind their name like let (or var at a function's top level)
+      const scope = this.scopes[this.scopes.length - 1];
+      const binding = !this.inModule && !isAsync && !isGenerator ? 'function' : this.functionsAsVar(scope) ? 'var' : 'lexical';
+      if (isStatement) this.declareName(node.id, binding);
+    } else if (isStatement && !idOptional) {
+      this.unexpected();
+    }
+    node.expression = false;
+    node.generator = isGenerator;
+    node.async = isAsync;
+    this.withFunctionContext({ isAsync, isGenerator }, () => {
+      node.params = this.parseParams(!this.inModule);
+      node.body = this.parseFunctionBody();
+    });
+    return this.finishNode(node, isStatement ? 'FunctionDeclaration' : 'FunctionExpression');
+  }
+
+  // Parameters are declared in the function scope, which the body block shares
+  parseParams(allowDuplicates = false) {
+    const params = [];
+    this.expect('(');
+    while (!this.eat(')')) {
+      if (this.is('...')) {
+        params.push(this.parseRestElement());
+        this.expect(')');
+        break;
+      }
+      params.push(this.parseBindingElement());
+      if (!this.is(')')) this.expect(',');
+    }
+    this.declareParams(params, allowDuplicates && params.every(param => param.type === 'Identifier'));
+    return params;
+  }
+
+  declareParams(params, allowDuplicates) {
+    const seen = new Set();
+    for (const id of params.flatMap(param => boundIdentifiers(param))) {
+      if (!allowDuplicates && seen.has(id.name)) this.raise(id.start, 'Argument name clash');
+      seen.add(id.name);
+      this.declareName(id, 'var');
+    }
+  }
+
+  parseFunctionBody() {
+    const node = this.startNode();
+    node.body = [];
+    this.expect('{');
+    while (!this.eat('}')) {
+      if (this.tok.type === 'eof') this.unexpected();
+      node.body.push(this.parseStatement());
+    }
+    return this.finishNode(node, 'BlockStatement');
+  }
+
+  parseMethod(isAsync, isGenerator) {
+    const node = this.startNode();
+    node.id = null;
+    node.expression = false;
+    node.generator = isGenerator;
+    node.async = isAsync;
+    this.withFunctionContext({ isAsync, isGenerator }, () => {
+      node.params = this.parseParams();
+      node.body = this.parseFunctionBody();
+    });
+    return this.finishNode(node, 'FunctionExpression');
+  }
+
+  parseClass(node, isStatement, idOptional = false) {
+    this.next();
+    node.id = null;
+    if (this.tok.type === 'name' && !this.isName('extends')) {
+      node.id = this.parseIdent();
+      if (isStatement) this.declareName(node.id, 'lexical');
+    } else if (isStatement && !idOptional) {
+      this.unexpected();
+    }
+    node.superClass = this.eatName('extends') ? this.parseExprSubscripts() : null;
+    const body = this.startNode();
+    body.body = [];
+    this.expect('{');
+    const privateNames = { declared: new Set(), used: [] };
+    this.privateNames.push(privateNames);
+    let hasConstructor = false;
+    while (!this.eat('}')) {
+      if (this.eat(';')) continue;
+      if (this.tok.type === 'eof') this.unexpected();
+      const element = this.parseClassElement();
+      if (element.kind === 'constructor') {
+        if (hasConstructor) this.raise(element.key.start, 'Duplicate constructor in the same class');
+        hasConstructor = true;
+      }
+      if (element.key && element.key.type === 'PrivateIdentifier') privateNames.declared.add(element.key.name);
+      body.body.push(element);
+    }
+    this.privateNames.pop();
+    // A `#name` this class does not declare must come from an enclosing class
+    const outer = this.privateNames[this.privateNames.length - 1];
+    for (const id of privateNames.used.filter(used => !privateNames.declared.has(used.name))) {
+      if (outer) outer.used.push(id);
+      else this.raise(id.start, `Private field '#${id.name}' must be declared in an enclosing class`);
+    }
+    node.body = this.finishNode(body, 'ClassBody');
+    return this.finishNode(node, isStatement ? 'ClassDeclaration' : 'ClassExpression');
+  }
+
+  parseClassElement() {
+    const node = this.startNode();
+    let isStatic = false;
+    if (this.isName('static')) {
+      const next = this.peek();
+      if (this.is('{', next)) {
+        this.next();
+        return this.parseStaticBlock(node);
+      }
+      if (this.startsPropertyName(next) || this.is('*', next)) {
+        this.next();
+        isStatic = true;
+      }
+    }
+    node.static = isStatic;
+    const { isAsync, isGenerator, kind } = this.parseMemberModifiers();
+    this.parsePropertyKey(node);
+    if (kind !== 'init' || isAsync || isGenerator || this.is('(')) {
+      const isConstructor = !isStatic && !node.computed && kind === 'init' &&
+        (node.key.name === 'constructor' || node.key.value === 'constructor');
+      node.kind = isConstructor ? 'constructor' : kind === 'init' ? 'method' : kind;
+      node.value = this.parseMethod(isAsync, isGenerator);
+      return this.finishNode(node, 'MethodDefinition');
+    }
+    node.value = null;
+    if (this.eat('=')) {
+      const saved = this.context;
+      this.context = { inFunction: false, inAsync: false, inGenerator: false, allowNewTarget: true };
+      node.value = this.parseMaybeAssign();
+      this.context = saved;
+    }
+    this.semicolon();
+    return this.finishNode(node, 'PropertyDefinition');
+  }
+
+  parseStaticBlock(node) {
+    node.body = [];
+    this.expect('{');
+    this.withFunctionContext({ isAsync: false, isGenerator: false }, () => {
+      while (!this.eat('}')) {
+        if (this.tok.type === 'eof') this.unexpected();
+        node.body.push(this.parseStatement());
+      }
+    });
+    return this.finishNode(node, 'StaticBlock');
+  }
+
+  // `async`, `*`, `get` and `set` are modifiers only when a member name follows them
+  parseMemberModifiers() {
+    let isAsync = false;
+    let isGenerator = false;
+    let kind = 'init';
+    if (this.isName('async')) {
+      const next = this.peek();
+      if ((this.startsPropertyName(next) || this.is('*', next)) && !next.nlBefore) {
+        this.next();
+        isAsync = true;
+      }
+    }
+    if (this.eat('*')) isGenerator = true;
+    if (!isAsync && !isGenerator && (this.isName('get') || this.isName('set')) && this.startsPropertyName(this.peek())) {
+      kind = this.tok.value;
+      this.next();
+    }
+    return { isAsync, isGenerator, kind };
+  }
+
+  parsePropertyKey(node) {
+    if (this.eat('[')) {
+      node.computed = true;
+      node.key = this.parseMaybeAssign();
+      this.expect(']');
+    } else {
+      node.computed = false;
+      node.key = this.parsePropertyName();
+    }
+  }
+
+  parsePropertyName() {
+    switch (this.tok.type) {
+      case 'name':
+        return this.parseIdent(true);
+      case 'string':
+      case 'num':
+        return this.parseLiteral();
+      case 'privateName':
+        return this.parsePrivateName();
+    }
+    return this.unexpected();
+  }
+
+  parseImport(node) {
+    this.next();
+    node.specifiers = [];
+    if (this.tok.type !== 'string') {
+      if (this.tok.type === 'name') {
+        const specifier = this.startNode();
+        specifier.local = this.parseIdent();
+        this.declareName(specifier.local, 'lexical');
+        node.specifiers.push(this.finishNode(specifier, 'ImportDefaultSpecifier'));
+        if (this.eat(',')) this.parseImportSpecifiers(node);
+      } else {
+        this.parseImportSpecifiers(node);
+      }
+      this.expectName('from');
+    }
+    node.source = this.parseStringLiteral();
+    this.parseImportAttributes(node);
+    this.semicolon();
+    return this.finishNode(node, 'ImportDeclaration');
+  }
+
+  parseImportSpecifiers(node) {
+    if (this.is('*')) {
+      const specifier = this.startNode();
+      this.next();
+      this.expectName('as');
+      specifier.local = this.parseIdent();
+      this.declareName(specifier.local, 'lexical');
+      node.specifiers.push(this.finishNode(specifier, 'ImportNamespaceSpecifier'));
+      return;
+    }
+    this.expect('{');
+    while (!this.eat('}')) {
+      const specifier = this.startNode();
+      specifier.imported = this.parseModuleExportName();
+      if (this.eatName('as')) {
+        specifier.local = this.parseIdent();
+      } else {
+        if (specifier.imported.type !== 'Identifier' || KEYWORDS.has(specifier.imported.name)) this.unexpected();
+        specifier.local = this.copyNode(specifier.imported);
+      }
+      this.declareName(specifier.local, 'lexical');
+      node.specifiers.push(this.finishNode(specifier, 'ImportSpecifier'));
+      if (!this.is('}')) this.expect(',');
+    }
+  }
+
+  parseImportAttributes(node) {
+    if (!this.isName('with') && !(this.isName('assert') && !this.tok.nlBefore)) return;
+    this.next();
+    node.attributes = [];
+    this.expect('{');
+    while (!this.eat('}')) {
+      const attribute = this.startNode();
+      attribute.key = this.tok.type === 'string' ? this.parseStringLiteral() : this.parseIdent(true);
+      this.expect(':');
+      attribute.value = this.parseStringLiteral();
+      node.attributes.push(this.finishNode(attribute, 'ImportAttribute'));
+      if (!this.is('}')) this.expect(',');
+    }
+  }
+
+  parseExport(node) {
+    this.next();
+    if (this.eat('*')) {
+      node.exported = this.eatName('as') ? this.parseModuleExportName() : null;
+      if (node.exported) this.addExport(node.exported);
+      this.expectName('from');
+      node.source = this.parseStringLiteral();
+      this.parseImportAttributes(node);
+      this.semicolon();
+      return this.finishNode(node, 'ExportAllDeclaration');
+    }
+    if (this.isName('default')) {
+      this.addExport(this.tok, 'default');
+      this.next();
+      const declaration = this.startNode();
+      const next = this.peek();
+      if (this.isName('function') || (this.isName('async') && this.isName('function', next) && !next.nlBefore)) {
+        const isAsync = this.eatName('async');
+        node.declaration = this.parseFunction(declaration, { isStatement: true, isAsync, idOptional: true });
+      } else if (this.isName('class')) {
+        node.declaration = this.parseClass(declaration, true, true);
+      } else {
+        node.declaration = this.parseMaybeAssign();
+        this.semicolon();
+      }
+      return this.finishNode(node, 'ExportDefaultDeclaration');
+    }
+    if (this.eat('{')) {
+      node.declaration = null;
+      node.specifiers = [];
+      while (!this.eat('}')) {
+        const specifier = this.startNode();
+        specifier.local = this.parseModuleExportName();
+        specifier.exported = this.eatName('as') ? this.parseModuleExportName() : this.copyNode(specifier.local);
+        node.specifiers.push(this.finishNode(specifier, 'ExportSpecifier'));
+        if (!this.is('}')) this.expect(',');
+      }
+      node.source = this.eatName('from') ? this.parseStringLiteral() : null;
+      if (node.source) this.parseImportAttributes(node);
+      this.semicolon();
+      for (const specifier of node.specifiers) {
+        this.addExport(specifier.exported);
+        if (!node.source) this.checkLocalExport(specifier.local);
+      }
+      return this.finishNode(node, 'ExportNamedDeclaration');
+    }
+    const start = this.tok;
+    node.declaration = this.parseStatement();
+    if (!['VariableDeclaration', 'FunctionDeclaration', 'ClassDeclaration'].includes(node.declaration.type)) this.unexpected(start);
+    const declared = node.declaration.type === 'VariableDeclaration'
+      ? node.declaration.declarations.flatMap(declarator => boundIdentifiers(declarator.id))
+      : [node.declaration.id];
+    declared.forEach(id => this.addExport(id));
+    node.specifiers = [];
+    node.source = null;
+    return this.finishNode(node, 'ExportNamedDeclaration');
+  }
+
+  addExport(node, name = node.type === 'Literal' ? node.value : node.name) {
+    if (this.exportedNames.has(name)) this.raise(node.start, `Duplicate export '${name}'`);
+    this.exportedNames.add(name);
+  }
+
+  checkLocalExport(local) {
+    if (local.type === 'Literal') this.raise(local.start, 'A string literal cannot be used as an exported binding without `from`.');
+    const top = this.scopes[0];
+    if (!top.lexical.has(local.name) && !top.var.has(local.name) && !top.functions.has(local.name)) {
+      this.undefinedExports.set(local.name, local);
+    }
+  }
+
+  parseModuleExportName() {
+    return this.tok.type === 'string' ? this.parseStringLiteral() : this.parseIdent(true);
+  }
+
+  // ---- Patterns ----
+
+  parseBindingAtom() {
+    if (this.is('{')) return this.parseObject(true);
+    if (!this.is('[')) return this.parseIdent();
+    const node = this.startNode();
+    node.elements = [];
+    this.next();
+    while (!this.eat(']')) {
+      if (this.eat(',')) {
+        node.elements.push(null);
+        continue;
+      }
+      node.elements.push(this.is('...') ? this.parseRestElement() : this.parseBindingElement());
+      if (!this.is(']')) this.expect(',');
+    }
+    return this.finishNode(node, 'ArrayPattern');
+  }
+
+  parseBindingElement() {
+    const { start } = this.tok;
+    return this.parseMaybeDefault(start, this.parseBindingAtom());
+  }
+
+  parseRestElement() {
+    const node = this.startNode();
+    this.expect('...');
+    node.argument = this.parseBindingAtom();
+    return this.finishNode(node, 'RestElement');
+  }
+
+  parseMaybeDefault(start, left) {
+    if (!this.eat('=')) return left;
+    const node = this.startNode(start);
+    node.left = left;
+    node.right = this.parseMaybeAssign();
+    return this.finishNode(node, 'AssignmentPattern');
+  }
+
+  // Reinterprets an expression parsed before `=` or `=>` as the pattern it turned out to be
+  toAssignable(node) {
+    switch (node.type) {
+      case 'Identifier':
+      case 'MemberExpression':
+      case 'ObjectPattern':
+      case 'ArrayPattern':
+      case 'AssignmentPattern':
+      case 'RestElement':
+        return node;
+      case 'ObjectExpression':
+        node.type = 'ObjectPattern';
+        for (const property of node.properties) {
+          if (property.type === 'SpreadElement') {
+            property.type = 'RestElement';
+            this.toAssignable(property.argument);
+          } else if (property.kind !== 'init' || property.method) {
+            this.raise(property.key.start, "Object pattern can't contain getter or setter");
+          } else {
+            this.toAssignable(property.value);
+          }
+        }
+        return node;
+      case 'ArrayExpression':
+        node.type = 'ArrayPattern';
+        node.elements.forEach(element => element && this.toAssignable(element));
+        return node;
+      case 'SpreadElement':
+        node.type = 'RestElement';
+        this.toAssignable(node.argument);
+        return node;
+      case 'ChainExpression':
+        return this.checkSimpleTarget(node);
+      case 'AssignmentExpression':
+        if (node.operator !== '=') break;
+        node.type = 'AssignmentPattern';
+        delete node.operator;
+        return node;
+    }
+    return this.raise(node.start, 'Assigning to rvalue');
+  }
+
+  checkSimpleTarget(node) {
+    if (node.type === 'ChainExpression') this.raise(node.start, 'Optional chaining cannot appear in left-hand side');
+    if (node.type !== 'Identifier' && node.type !== 'MemberExpression') this.raise(node.start, 'Assigning to rvalue');
+    return node;
+  }
+
+  // ---- Expressions ----
+
+  parseExpression(noIn = false) {
+    const { start } = this.tok;
+    const expression = this.parseMaybeAssign(noIn);
+    if (!this.is(',')) return expression;
+    const node = this.startNode(start);
+    node.expressions = [expression];
+    while (this.eat(',')) node.expressions.push(this.parseMaybeAssign(noIn));
+    return this.finishNode(node, 'SequenceExpression');
+  }
+
+  parseMaybeAssign(noIn = false) {
+    if (this.isName('yield') && this.context.inGenerator) return this.parseYield(noIn);
+    const { start } = this.tok;
+    const left = this.parseMaybeConditional(noIn);
+    if (this.tok.type !== 'punct' || !ASSIGNMENT_OPERATORS.has(this.tok.value)) return left;
+    const node = this.startNode(start);
+    node.operator = this.tok.value;
+    node.left = node.operator === '=' ? this.toAssignable(left) : this.checkSimpleTarget(left);
+    this.next();
+    node.right = this.parseMaybeAssign(noIn);
+    return this.finishNode(node, 'AssignmentExpression');
+  }
+
+  parseYield(noIn) {
+    const node = this.startNode();
+    this.next();
+    node.delegate = false;
+    node.argument = null;
+    if (!this.tok.nlBefore) {
+      if (this.eat('*')) {
+        node.delegate = true;
+        node.argument = this.parseMaybeAssign(noIn);
+      } else if (this.tok.type !== 'eof' && ![')', ']', '}', ',', ';', ':'].some(value => this.is(value))) {
+        node.argument = this.parseMaybeAssign(noIn);
+      }
+    }
+    return this.finishNode(node, 'YieldExpression');
+  }
+
+  parseMaybeConditional(noIn) {
+    const { start } = this.tok;
+    const test = this.parseExprOps(noIn);
+    if (!this.is('?')) return test;
+    const node = this.startNode(start);
+    this.next();
+    node.test = test;
+    node.consequent = this.parseMaybeAssign();
+    this.expect(':');
+    node.alternate = this.parseMaybeAssign(noIn);
+    return this.finishNode(node, 'ConditionalExpression');
+  }
+
+  parseExprOps(noIn) {
+    const { start } = this.tok;
+    const expression = this.parseMaybeUnary();
+    if (this.bareArrows.has(expression)) return expression;
+    return this.parseExprOp(expression, start, 0, noIn);
+  }
+
+  binaryOperator(noIn) {
+    const { tok } = this;
+    if (tok.type === 'punct' && BINARY_PRECEDENCE[tok.value]) return tok.value;
+    if (this.isName('instanceof') || (this.isName('in') && !noIn)) return tok.value;
+    return null;
+  }
+
+  // Precedence climbing; `**` is right-associative
+  parseExprOp(left, start, minPrecedence, noIn) {
+    const operator = this.binaryOperator(noIn);
+    if (!operator || BINARY_PRECEDENCE[operator] <= minPrecedence) return left;
+    // `??` takes the range of both logical operators, so mixing them without parentheses is caught below
+    const precedence = operator === '??' ? BINARY_PRECEDENCE['&&'] : BINARY_PRECEDENCE[operator];
+    this.next();
+    const rightStart = this.tok.start;
+    const right = this.parseExprOp(this.parseMaybeUnary(), rightStart, operator === '**' ? precedence - 1 : precedence, noIn);
+    const node = this.startNode(start);
+    node.left = left;
+    node.operator = operator;
+    node.right = right;
+    this.finishNode(node, LOGICAL_OPERATORS.has(operator) ? 'LogicalExpression' : 'BinaryExpression');
+    const next = this.binaryOperator(noIn);
+    if ((operator === '??' && (next === '||' || next === '&&')) || ((operator === '||' || operator === '&&') && next === '??')) {
+      this.raise(this.tok.start, 'Logical expressions and coalesce expressions cannot be mixed. Wrap either by parentheses');
+    }
+    return this.parseExprOp(node, start, minPrecedence, noIn);
+  }
+
+  parseMaybeUnary() {
+    const { tok } = this;
+    if (this.isName('await') && this.context.inAsync) {
+      const node = this.startNode();
+      this.next();
+      node.argument = this.parseMaybeUnary();
+      return this.finishNode(node, 'AwaitExpression');
+    }
+    if ((tok.type === 'punct' || (tok.type === 'name' && !tok.escaped)) && PREFIX_OPERATORS.has(tok.value)) {
+      const node = this.startNode();
+      node.operator = tok.value;
+      node.prefix = true;
+      this.next();
+      node.argument = this.parseMaybeUnary();
+      return this.finishNode(node, 'UnaryExpression');
+    }
+    if (this.is('++') || this.is('--')) {
+      const node = this.startNode();
+      node.operator = tok.value;
+      node.prefix = true;
+      this.next();
+      node.argument = this.checkSimpleTarget(this.parseMaybeUnary());
+      return this.finishNode(node, 'UpdateExpression');
+    }
+    let expression = this.parseExprSubscripts();
+    while ((this.is('++') || this.is('--')) && !this.tok.nlBefore) {
+      const node = this.startNode(tok.start);
+      node.operator = this.tok.value;
+      node.prefix = false;
+      node.argument = this.checkSimpleTarget(expression);
+      this.next();
+      expression = this.finishNode(node, 'UpdateExpression');
+    }
+    return expression;
+  }
+
+  parseExprSubscripts() {
+    const { start } = this.tok;
+    const expression = this.parseExprAtom();
+    if (this.bareArrows.has(expression)) return expression;
+    return this.parseSubscripts(expression, start, false);
+  }
+
+  parseSubscripts(base, start, noCalls) {
+    let chained = false;
+    for (;;) {
+      let optional = false;
+      if (!noCalls && this.is('?.')) {
+        this.next();
+        optional = chained = true;
+      }
+      if (this.eat('[')) {
+        const node = this.startNode(start);
+        node.object = base;
+        node.property = this.parseExpression();
+        node.computed = true;
+        node.optional = optional;
+        this.expect(']');
+        base = this.finishNode(node, 'MemberExpression');
+      } else if (!noCalls && this.is('(')) {
+        // `async(a, b) => ...` reads like a call until the arrow shows up
+        const maybeAsyncArrow = base.type === 'Identifier' && base.name === 'async' && !chained && !this.tok.nlBefore;
+        this.next();
+        const args = this.parseExprList(')');
+        if (maybeAsyncArrow && this.is('=>') && !this.tok.nlBefore) {
+          return this.parseArrow(this.startNode(start), args.map(arg => this.toAssignable(arg)), true);
+        }
+        const node = this.startNode(start);
+        node.callee = base;
+        node.arguments = args;
+        node.optional = optional;
+        base = this.finishNode(node, 'CallExpression');
+      } else if (optional || this.eat('.')) {
+        const node = this.startNode(start);
+        node.object = base;
+        node.property = this.tok.type === 'privateName' ? this.parsePrivateReference() : this.parseIdent(true);
+        node.computed = false;
+        node.optional = optional;
+        base = this.finishNode(node, 'MemberExpression');
+      } else if (this.tok.type === 'template') {
+        if (chained) this.raise(this.tok.start, 'Optional chaining cannot appear in the tag of tagged template expressions');
+        const node = this.startNode(start);
+        node.tag = base;
+        node.quasi = this.parseTemplate(true);
+        base = this.finishNode(node, 'TaggedTemplateExpression');
+      } else {
+        break;
+      }
+    }
+    if (!chained) return base;
+    const node = this.startNode(start);
+    node.expression = base;
+    return this.finishNode(node, 'ChainExpression');
+  }
+
+  parseExprList(close) {
+    const elements = [];
+    while (!this.eat(close)) {
+      elements.push(this.is('...') ? this.parseSpread() : this.parseMaybeAssign());
+      if (!this.is(close)) this.expect(',');
+    }
+    return elements;
+  }
+
+  parseSpread() {
+    const node = this.startNode();
+    this.expect('...');
+    node.argument = this.parseMaybeAssign();
+    return this.finishNode(node, 'SpreadElement');
+  }
+
+  parseExprAtom() {
+    const { tok } = this;
+    switch (tok.type) {
+      case 'name':
+        return this.parseNameAtom();
+      case 'num':
+      case 'string':
+        return this.parseLiteral();
+      case 'template':
+        return this.parseTemplate();
+      case 'privateName':
+        return this.parsePrivateReference(); // `#field in object`
+      case 'punct':
+        if (tok.value === '(') return this.parseParenAndDistinguish();
+        if (tok.value === '[') return this.parseArray();
+        if (tok.value === '{') return this.parseObject(false);
+        if (tok.value === '/' || tok.value === '/=') {
+          this.tok = this.readRegexp(tok.start);
+          const node = this.startNode();
+          const { pattern, flags, value } = this.tok.value;
+          node.value = value;
+          node.raw = this.code.slice(this.tok.start, this.tok.end);
+          node.regex = { pattern, flags };
+          this.next();
+          return this.finishNode(node, 'Literal');
+        }
+    }
+    return this.unexpected();
+  }
+
+  parseNameAtom() {
+    const { tok } = this;
+    const node = this.startNode();
+    if (!tok.escaped) {
+      switch (tok.value) {
+        case 'this':
+          this.next();
+          return this.finishNode(node, 'ThisExpression');
+        case 'super':
+          this.next();
+          return this.finishNode(node, 'Super');
+        case 'null':
+        case 'true':
+        case 'false':
+          node.value = tok.value === 'null' ? null : tok.value === 'true';
+          node.raw = tok.value;
+          this.next();
+          return this.finishNode(node, 'Literal');
+        case 'function':
+          return this.parseFunction(node, { isStatement: false });
+        case 'class':
+          return this.parseClass(node, false);
+        case 'new':
+          return this.parseNew(node);
+        case 'import':
+          return this.parseImportExpression(node);
+        case 'async': {
+          const next = this.peek();
+          if (next.nlBefore || next.type !== 'name') break;
+          if (this.isName('function', next)) {
+            this.next();
+            return this.parseFunction(node, { isStatement: false, isAsync: true });
+          }
+          if (!KEYWORDS.has(next.value)) {
+            this.next();
+            const param = this.parseIdent();
+            if (this.is('=>') && !this.tok.nlBefore) return this.parseArrow(node, [param], true);
+            this.unexpected();
+          }
+          break;
+        }
+      }
+    }
+    const id = this.parseIdent();
+    if (this.is('=>') && !this.tok.nlBefore) return this.parseArrow(node, [id], false);
+    return id;
+  }
+
+  parseArrow(node, params, isAsync) {
+    this.expect('=>');
+    node.id = null;
+    node.expression = false;
+    node.generator = false;
+    node.async = isAsync;
+    node.params = params;
+    this.withFunctionContext({ isAsync, isGenerator: false, isArrow: true }, () => {
+      this.declareParams(params, false);
+      if (this.is('{')) {
+        node.body = this.parseFunctionBody();
+      } else {
+        node.expression = true;
+        node.body = this.parseMaybeAssign();
+      }
+    });
+    this.finishNode(node, 'ArrowFunctionExpression');
+    this.bareArrows.add(node);
+    return node;
+  }
+
+  // `(a, b)` is a sequence unless `=>` follows, in which case it was a parameter list
+  parseParenAndDistinguish() {
+    const { start } = this.tok;
+    this.next();
+    const items = [];
+    let rest = null;
+    let trailingComma = false;
+    while (!this.is(')')) {
+      if (this.is('...')) {
+        rest = this.parseRestElement();
+        items.push(rest);
+        break;
+      }
+      items.push(this.parseMaybeAssign());
+      if (!this.is(')')) {
+        this.expect(',');
+        trailingComma = this.is(')');
+      }
+    }
+    const closing = this.tok;
+    this.expect(')');
+    if (this.is('=>') && !this.tok.nlBefore) {
+      return this.parseArrow(this.startNode(start), items.map(item => this.toAssignable(item)), false);
+    }
+    if (items.length === 0 || rest || trailingComma) this.unexpected(rest || closing);
+    if (items.length === 1) {
+      this.bareArrows.delete(items[0]);
+      return items[0];
+    }
+    const node = this.startNode(items[0].start);
+    node.expressions = items;
+    return this.finishNode(node, 'SequenceExpression', items[items.length - 1].end);
+  }
+
+  parseArray() {
+    const node = this.startNode();
+    node.elements = [];
+    this.next();
+    while (!this.eat(']')) {
+      if (this.eat(',')) {
+        node.elements.push(null);
+        continue;
+      }
+      node.elements.push(this.is('...') ? this.parseSpread() : this.parseMaybeAssign());
+      if (!this.is(']')) this.expect(',');
+    }
+    return this.finishNode(node, 'ArrayExpression');
+  }
+
+  parseObject(isPattern) {
+    const node = this.startNode();
+    node.properties = [];
+    this.next();
+    while (!this.eat('}')) {
+      node.properties.push(isPattern ? this.parsePatternProperty() : this.parseObjectMember());
+      if (!this.is('}')) this.expect(',');
+    }
+    return this.finishNode(node, isPattern ? 'ObjectPattern' : 'ObjectExpression');
+  }
+
+  parseObjectMember() {
+    if (this.is('...')) return this.parseSpread();
+    const node = this.startNode();
+    const { isAsync, isGenerator, kind } = this.parseMemberModifiers();
+    node.method = false;
+    node.shorthand = false;
+    this.parsePropertyKey(node);
+    node.kind = kind;
+    if (kind !== 'init' || isAsync || isGenerator || this.is('(')) {
+      node.method = kind === 'init';
+      node.value = this.parseMethod(isAsync, isGenerator);
+    } else if (this.eat(':')) {
+      node.value = this.parseMaybeAssign();
+    } else {
+      if (node.computed || node.key.type !== 'Identifier') this.unexpected();
+      node.shorthand = true;
+      // `{ a = 1 }` is only valid once the object turns out to be a destructuring target
+      node.value = this.parseMaybeDefault(node.key.start, this.copyNode(node.key));
+    }
+    return this.finishNode(node, 'Property');
+  }
+
+  parsePatternProperty() {
+    if (this.is('...')) return this.parseRestElement();
+    const node = this.startNode();
+    node.method = false;
+    node.shorthand = false;
+    this.parsePropertyKey(node);
+    node.kind = 'init';
+    if (this.eat(':')) {
+      node.value = this.parseBindingElement();
+    } else {
+      if (node.computed || node.key.type !== 'Identifier') this.unexpected();
+      node.shorthand = true;
+      node.value = this.parseMaybeDefault(node.key.start, this.copyNode(node.key));
+    }
+    return this.finishNode(node, 'Property');
+  }
+
+  parseTemplate(isTagged = false) {
+    const node = this.startNode();
+    node.expressions = [];
+    node.quasis = [];
+    let chunk = this.tok;
+    for (;;) {
+      if (chunk.invalidEscape !== null && !isTagged) this.raise(chunk.invalidEscape, 'Bad escape sequence in untagged template literal');
+      const element = this.startNode(chunk.contentStart);
+      element.value = chunk.value;
+      element.tail = chunk.tail;
+      node.quasis.push(this.finishNode(element, 'TemplateElement', chunk.contentEnd));
+      if (chunk.tail) break;
+      this.next();
+      node.expressions.push(this.parseExpression());
+      if (!this.is('}')) this.unexpected();
+      chunk = this.tok = this.readTemplateToken(this.tok.start);
+    }
+    this.next();
+    return this.finishNode(node, 'TemplateLiteral');
+  }
+
+  parseNew(node) {
+    this.next();
+    if (this.eat('.')) {
+      node.meta = this.finishNode({ ...this.startNode(node.start), name: 'new' }, 'Identifier', node.start + 'new'.length);
+      node.property = this.parseIdent(true);
+      if (node.property.name !== 'target') this.raise(node.property.start, "The only valid meta property for new is 'new.target'");
+      if (!this.context.allowNewTarget) this.raise(node.start, "'new.target' can only be used in functions and class static block");
+      return this.finishNode(node, 'MetaProperty');
+    }
+    const { start } = this.tok;
+    node.callee = this.parseSubscripts(this.parseExprAtom(), start, true);
+    node.arguments = this.eat('(') ? this.parseExprList(')') : [];
+    return this.finishNode(node, 'NewExpression');
+  }
+
+  parseImportExpression(node) {
+    this.next();
+    if (this.eat('.')) {
+      node.meta = this.finishNode({ ...this.startNode(node.start), name: 'import' }, 'Identifier', node.start + 'import'.length);
+      node.property = this.parseIdent(true);
+      return this.finishNode(node, 'MetaProperty');
+    }
+    this.expect('(');
+    node.source = this.parseMaybeAssign();
+    if (this.eat(',') && !this.is(')')) {
+      node.options = this.parseMaybeAssign();
+      this.eat(',');
+    }
+    this.expect(')');
+    return this.finishNode(node, 'ImportExpression');
+  }
+
+  parseIdent(allowKeywords = false) {
+    const { tok } = this;
+    if (tok.type !== 'name' || (!allowKeywords && !tok.escaped && KEYWORDS.has(tok.value))) this.unexpected();
+    if (!allowKeywords && this.inModule && (STRICT_RESERVED.has(tok.value) || (tok.value === 'await' && !this.context.inAsync))) {
+      this.raise(tok.start, `The keyword '${tok.value}' is reserved`);
+    }
+    const node = this.startNode();
+    node.name = tok.value;
+    this.next();
+    return this.finishNode(node, 'Identifier');
+  }
+
+  parsePrivateName() {
+    const node = this.startNode();
+    node.name = this.tok.value;
+    this.next();
+    return this.finishNode(node, 'PrivateIdentifier');
+  }
+
+  parsePrivateReference() {
+    const id = this.parsePrivateName();
+    const privateNames = this.privateNames[this.privateNames.length - 1];
+    if (!privateNames) this.raise(id.start, `Private field '#${id.name}' must be declared in an enclosing class`);
+    privateNames.used.push(id);
+    return id;
+  }
+
+  parseLiteral() {
+    const { tok } = this;
+    const node = this.startNode();
+    node.value = tok.value;
+    node.raw = this.code.slice(tok.start, tok.end);
+    if (typeof tok.value === 'bigint') node.bigint = tok.value.toString();
+    this.next();
+    return this.finishNode(node, 'Literal');
+  }
+
+  parseStringLiteral() {
+    if (this.tok.type !== 'string') this.unexpected();
+    return this.parseLiteral();
+  }
+}
+
+/**
+ * Parses as a module first (the strict superset most code is written against), then as a script.
+ * Only code with import/export counts as a module; anything else may be loaded as a classic script.
+ */
+function parseSource(code) {
+  const attempt = (sourceType) => {
+    const parser = new JavaScriptParser(code, sourceType);
+    const ast = parser.parseProgram();
+    return { ast, comments: parser.comments, sourceType };
+  };
+  try {
+    const parsed = attempt('module');
+    const hasModuleSyntax = parsed.ast.body.some(node => /^(Import|Export)/.test(node.type));
+    return { ...parsed, sourceType: hasModuleSyntax ? 'module' : 'script' };
+  } catch (moduleError) {
+    if (!(moduleError instanceof SourceSyntaxError)) throw moduleError;
+    try {
+      return attempt('script');
+    } catch (scriptError) {
+      if (!(scriptError instanceof SourceSyntaxError)) throw scriptError;
+      // Report the module error: it is the stricter and usually the more useful message
+      throw moduleError;
+    }
+  }
+}
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+/**
+ * Every node in source order, each given a `parent` link
+ */
+function collectNodes(ast) {
+  const nodes = [];
+  const visit = (node, parent) => {
+    node.parent = parent;
+    nodes.push(node);
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'parent' || key === 'loc') continue;
+      if (Array.isArray(value)) {
+        value.forEach(child => child && typeof child.type === 'string' && visit(child, node));
+      } else if (value && typeof value.type === 'string') {
+        visit(value, node);
+      }
+    }
+  };
+  visit(ast, null);
+  return nodes;
+}
+
+/**
+ * Builds a lexical scope model: which names each scope declares and which identifiers reference them.
+ *
+ * One walk over the AST creates scopes, records declarations (var hoists to the enclosing function)
+ * and collects references with the scope they appear in. References are resolved at the end, so
+ * hoisted functions and closures see declarations that come later in the source.
+ */
+function analyzeScopes(ast) {
+  const scopes = [];
+  const variables = [];
+  const references = [];
+  let hasDynamicScope = false; // `with` or a direct eval can reach any name
+
+  const createScope = (kind, node, parentScope) => {
+    const scope = { kind, node, parent: parentScope, variables: new Map(), children: [] };
+    if (parentScope) parentScope.children.push(scope);
+    scopes.push(scope);
+    return scope;
+  };
+
+  const declare = (scope, identifier, kind, declaration) => {
+    let target = scope;
+    if (kind === 'var') {
+      while (target.kind !== 'function' && target.kind !== 'module') target = target.parent;
+    }
+    let variable = target.variables.get(identifier.name);
+    if (!variable) {
+      variable = { name: identifier.name, kind, scope: target, node: identifier, exported: false, declarations: [], references: [] };
+      target.variables.set(identifier.name, variable);
+      variables.push(variable);
+    }
+    // `scope` is where the declaration is written, which differs from `target` for hoisted vars
+    variable.declarations.push({ kind, node: identifier, declaration, scope });
+    return variable;
+  };
+
+  const reference = (identifier, scope, { isWrite = false, isRead = !isWrite } = {}) => {
+    const ref = { name: identifier.name, node: identifier, scope, isWrite, isRead, variable: null };
+    references.push(ref);
+    return ref;
+  };
+
+  // Binding patterns: identifiers are declared, defaults and computed keys are ordinary expressions
+  const declarePattern = (pattern, scope, kind, declaration, declared = []) => {
+    switch (pattern.type) {
+      case 'Identifier':
+        declared.push(declare(scope, pattern, kind, declaration));
+        break;
+      case 'ObjectPattern':
+        for (const property of pattern.properties) {
+          if (property.type === 'RestElement') {
+            declarePattern(property.argument, scope, kind, declaration, declared);
+          } else {
+            if (property.computed) visit(property.key, scope);
+            declarePattern(property.value, scope, kind, declaration, declared);
+          }
+        }
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(element => element && declarePattern(element, scope, kind, declaration, declared));
+        break;
+      case 'AssignmentPattern':
+        declarePattern(pattern.left, scope, kind, declaration, declared);
+        visit(pattern.right, scope);
+        break;
+      case 'RestElement':
+        declarePattern(pattern.argument, scope, kind, declaration, declared);
+        break;
+    }
+    return declared;
+  };
+
+  // Assignment targets: identifiers are writes (and reads too for compound operators)
+  const assignPattern = (pattern, scope, isRead) => {
+    switch (pattern.type) {
+      case 'Identifier':
+        reference(pattern, scope, { isWrite: true, isRead });
+        break;
+      case 'ObjectPattern':
+        for (const property of pattern.properties) {
+          if (property.type === 'RestElement') {
+            assignPattern(property.argument, scope, false);
+          } else {
+            if (property.computed) visit(property.key, scope);
+            assignPattern(property.value, scope, false);
+          }
+        }
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(element => element && assignPattern(element, scope, false));
+        break;
+      case 'AssignmentPattern':
+        assignPattern(pattern.left, scope, false);
+        visit(pattern.right, scope);
+        break;
+      case 'RestElement':
+        assignPattern(pattern.argument, scope, false);
+        break;
+      default:
+        visit(pattern, scope); // obj.prop = ..., arr[i] = ...
+    }
+  };
+
+  const visitFunction = (node, scope) => {
+    const functionScope = createScope('function', node, scope);
+    if (node.type === 'FunctionExpression' && node.id) declare(functionScope, node.id, 'function-name', node);
+    node.params.forEach(param => declarePattern(param, functionScope, 'param', node));
+    // The body block shares the function scope, as parameters and body declarations do in JS
+    if (node.body.type === 'BlockStatement') node.body.body.forEach(statement => visit(statement, functionScope));
+    else visit(node.body, functionScope);
+  };
+
+  const visitClass = (node, scope) => {
+    if (node.superClass) visit(node.superClass, scope);
+    const classScope = createScope('class', node, scope);
+    if (node.type === 'ClassExpression' && node.id) declare(classScope, node.id, 'class-name', node);
+    for (const element of node.body.body) {
+      if (element.type === 'StaticBlock') {
+        const blockScope = createScope('function', element, classScope);
+        element.body.forEach(statement => visit(statement, blockScope));
+        continue;
+      }
+      if (element.computed) visit(element.key, classScope);
+      if (element.value) visit(element.value, classScope);
+    }
+  };
+
+  const visitChildren = (node, scope) => {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'parent' || key === 'loc') continue;
+      if (Array.isArray(value)) {
+        value.forEach(child => child && typeof child.type === 'string' && visit(child, scope));
+      } else if (value && typeof value.type === 'string') {
+        visit(value, scope);
+      }
+    }
+  };
+
+  function visit(node, scope) {
+    switch (node.type) {
+      case 'Identifier':
+        reference(node, scope);
+        break;
+      case 'VariableDeclaration':
+        for (const declarator of node.declarations) {
+          declarePattern(declarator.id, scope, node.kind, node);
+          if (declarator.init) visit(declarator.init, scope);
+        }
+        break;
+      case 'FunctionDeclaration':
+        if (node.id) declare(scope, node.id, 'function', node);
+        visitFunction(node, scope);
+        break;
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        visitFunction(node, scope);
+        break;
+      case 'ClassDeclaration':
+        if (node.id) declare(scope, node.id, 'class', node);
+        visitClass(node, scope);
+        break;
+      case 'ClassExpression':
+        visitClass(node, scope);
+        break;
+      case 'BlockStatement': {
+        const blockScope = createScope('block', node, scope);
+        node.body.forEach(statement => visit(statement, blockScope));
+        break;
+      }
+      case 'SwitchStatement': {
+        visit(node.discriminant, scope);
+        const switchScope = createScope('block', node, scope);
+        node.cases.forEach(switchCase => visit(switchCase, switchScope));
+        break;
+      }
+      case 'ForStatement': {
+        const forScope = createScope('for', node, scope);
+        ['init', 'test', 'update', 'body'].forEach(key => node[key] && visit(node[key], forScope));
+        break;
+      }
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const forScope = createScope('for', node, scope);
+        if (node.left.type === 'VariableDeclaration') {
+          node.left.declarations.forEach(declarator => declarePattern(declarator.id, forScope, node.left.kind, node.left));
+        } else {
+          assignPattern(node.left, forScope, false);
+        }
+        visit(node.right, forScope);
+        visit(node.body, forScope);
+        break;
+      }
+      case 'CatchClause': {
+        const catchScope = createScope('catch', node, scope);
+        if (node.param) declarePattern(node.param, catchScope, 'catch-param', node);
+        visit(node.body, catchScope);
+        break;
+      }
+      case 'AssignmentExpression':
+        assignPattern(node.left, scope, node.operator !== '=');
+        visit(node.right, scope);
+        break;
+      case 'UpdateExpression':
+        if (node.argument.type === 'Identifier') reference(node.argument, scope, { isWrite: true, isRead: true });
+        else visit(node.argument, scope);
+        break;
+      case 'MemberExpression':
+        visit(node.object, scope);
+        if (node.computed) visit(node.property, scope);
+        break;
+      case 'Property':
+        if (node.computed) visit(node.key, scope);
+        visit(node.value, scope);
+        break;
+      case 'LabeledStatement':
+        visit(node.body, scope);
+        break;
+      case 'BreakStatement':
+      case 'ContinueStatement':
+      case 'MetaProperty':
+      case 'ExportAllDeclaration':
+        break;
+      case 'WithStatement':
+        hasDynamicScope = true;
+        visitChildren(node, scope);
+        break;
+      case 'ImportDeclaration':
+        node.specifiers.forEach(specifier => declare(scope, specifier.local, 'import', node));
+        break;
+      case 'ExportNamedDeclaration':
+        if (node.declaration) {
+          visit(node.declaration, scope);
+          exportedDeclarations.push(node.declaration);
+        } else if (!node.source) {
+          node.specifiers.forEach(specifier => {
+            reference(specifier.local, scope).exports = true;
+          });
+        }
+        break;
+      case 'ExportDefaultDeclaration':
+        visit(node.declaration, scope);
+        if (node.declaration.id) exportedDeclarations.push(node.declaration);
+        break;
+      default:
+        visitChildren(node, scope);
+    }
+  }
+
+  const exportedDeclarations = [];
+  const globalScope = createScope('module', ast, null);
+  ast.body.forEach(statement => visit(statement, globalScope));
+
+  const unresolved = [];
+  for (const ref of references) {
+    let target = ref.scope;
+    while (target && !target.variables.has(ref.name)) target = target.parent;
+    if (target) {
+      ref.variable = target.variables.get(ref.name);
+      ref.variable.references.push(ref);
+      if (ref.exports) ref.variable.exported = true;
+    } else {
+      unresolved.push(ref);
+      if (ref.name === 'eval') hasDynamicScope = true;
+    }
+  }
+  for (const declaration of exportedDeclarations) {
+    variables
+      .filter(v => v.declarations.some(d => d.declaration === declaration))
+      .forEach(v => { v.exported = true; });
+  }
+
+  return { globalScope, scopes, variables, references, unresolved, hasDynamicScope };
+}
+
+/**
+ * Parses source into the model every rule receives:
+ * { code, ast, sourceType, nodes, comments, globalScope, scopes, variables, references, unresolved, hasDynamicScope }
+ */
+function analyzeSource(code) {
+  const { ast, comments, sourceType } = parseSource(code);
+  const nodes = collectNodes(ast);
+  return { code, ast, sourceType, nodes, comments, ...analyzeScopes(ast) };
+}
+
+// Walks up from an expression to see whether it is the initializer of a const, i.e. a named value
+function namesConstant(node) {
+  for (let current = node; current.parent; current = current.parent) {
+    const parent = current.parent;
+    if (parent.type === 'VariableDeclarator') {
+      return parent.init === current && parent.parent.kind === 'const';
+    }
+    if (FUNCTION_TYPES.has(parent.type) || /Statement$|Declaration$/.test(parent.type)) return false;
+  }
+  return false;
+}
+
+const isWithin = (scope, ancestor) => {
+  for (let current = scope; current; current = current.parent) {
+    if (current === ancestor) return true;
+  }
+  return false;
+};
+
+/**
+ * Whether `var` -> `let` provably keeps the meaning of a declaration. Every binding it declares must be
+ * block-local: declared once, referenced only inside the block that will own the `let` and only after
+ * the declarator, and not captured per loop iteration. Anything else is left for a human.
+ */
+function isBlockLocalVar(declaration, source) {
+  if (source.hasDynamicScope) return false; // with/eval can reach the name from anywhere
+  if (declaration.parent.type === 'SwitchCase') return false; // another case can jump past the declaration
+
+  const inLoopHead = LOOP_TYPES.has(declaration.parent.type) && declaration.parent.body !== declaration;
+  let inLoop = false;
+  for (let node = declaration.parent; node && !FUNCTION_TYPES.has(node.type); node = node.parent) {
+    if (LOOP_TYPES.has(node.type)) inLoop = true;
+  }
+
+  return declaration.declarations.every(declarator => {
+    const variables = source.variables.filter(v => v.declarations.some(d => d.declaration === declaration && isWithin(d.node, declarator)));
+    if (variables.length === 0) return false;
+    // A `let` in a loop body starts over each iteration; a bare `var` kept its previous value
+    if (inLoop && !inLoopHead && !declarator.init) return false;
+
+    return variables.every(variable => {
+      if (variable.declarations.length !== 1) return false; // redeclared, or shares a name with a param/function
+      // A top-level script var is also a property of the global object
+      if (variable.scope.kind === 'module' && source.sourceType === 'script') return false;
+      const blockScope = variable.declarations[0].scope;
+      return variable.references.every(ref => {
+        if (ref.node.start < declarator.end || !isWithin(ref.scope, blockScope)) return false;
+        // Closures in a loop would capture one binding per iteration instead of a shared one
+        if (inLoop) {
+          for (let scope = ref.scope; scope !== blockScope; scope = scope.parent) {
+            if (scope.kind === 'function') return false;
+          }
+        }
+        return true;
+      });
+    });
+  });
+}
+
+/**
+ * Built-in rules
+ *
+ * A rule is a plugin: { id, type, severity, version?, check(source, report), fix? }. `severity` is 'blocking' or
+ * 'warning'; `report(location, message, data?)` accepts an AST node or any object with line and column.
+ * The optional `fix(diagnostic, code)` returns an edit { start, end, text } or null when no safe fix exists.
+ * Bump `version` when a rule's behaviour changes through code its own functions only call into.
+ */
+const noDeprecatedApisRule = {
+  id: 'no-deprecated-api',
+  type: 'DEPRECATED_API',
+  severity: 'blocking',
+  check(source, report) {
+    for (const node of source.nodes) {
+      if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+        const edit = isBlockLocalVar(node, source) ? { start: node.start, end: node.start + 'var'.length, text: 'let' } : null;
+        report(node, 'Use const or let instead of var', { edit });
+      } else if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+        !node.callee.computed && node.callee.property.name === 'getYear') {
+        const { property } = node.callee;
+        report(property, 'getYear() is deprecated, use getFullYear()', { edit: { start: property.start, end: property.end, text: 'getFullYear' } });
+      }
+    }
+    // Only the global eval is flagged; a local binding named eval is just a name
+    source.unresolved
+      .filter(ref => ref.name === 'eval')
+      .forEach(ref => report(ref.node, 'eval() is deprecated and dangerous'));
+  },
+  // var -> let only where it is provably equivalent; eval has no mechanical replacement
+  fix(diagnostic) {
+    return diagnostic.data ? diagnostic.data.edit : null;
+  }
+};
+
+const noUnusedVariablesRule = {
+  id: 'no-unused-vars',
+  type: 'UNUSED_VARIABLE',
+  severity: 'warning',
+  check(source, report) {
+    source.variables
+      .filter(v => !['param', 'catch-param', 'function-name', 'class-name'].includes(v.kind))
+      .filter(v => !v.exported && !v.name.startsWith('_'))
+      .filter(v => !v.references.some(ref => ref.isRead))
+      .forEach(v => report(v.node, `Variable '${v.name}' is declared but never used`));
+  }
+};
+
+const noMagicNumbersRule = {
+  id: 'no-magic-numbers',
+  type: 'MAGIC_NUMBER',
+  severity: 'warning',
+  ignore: [-1, 0, 1],
+  check(source, report) {
+    for (const node of source.nodes) {
+      if (node.type !== 'Literal' || typeof node.value !== 'number') continue;
+      const negated = node.parent.type === 'UnaryExpression' && node.parent.operator === '-';
+      const literal = negated ? node.parent : node;
+      // A number anywhere in a const initializer is being named, e.g. `const HALF = total / 2`
+      if (this.ignore.includes(negated ? -node.value : node.value) || namesConstant(literal)) continue;
+      report(literal, `Magic number ${negated ? '-' : ''}${node.raw}; use a named constant instead`);
+    }
+  }
+};
+
+const noTodoCommentsRule = {
+  id: 'no-todo-comments',
+  type: 'TECHNICAL_DEBT',
+  severity: 'blocking',
+  check(source, report) {
+    for (const comment of source.comments) {
+      const index = comment.value.search(/\bTODO\b/i);
+      if (index === -1) continue;
+      // Point at the TODO itself, which may sit on a later line of a block comment
+      // Both `//` and `/*` openers are two characters long
+      const { line, column } = getLineInfo(source.code, comment.start + 2 + index);
+      report({ line, column: column + 1 }, 'TODO comment found. Complete the work or create a ticket.');
+    }
+  }
+};
+
+const BUILT_IN_RULES = [noDeprecatedApisRule, noUnusedVariablesRule, noMagicNumbersRule, noTodoCommentsRule];
+
+/**
+ * Validator that runs every registered rule against the analyzed source.
+ * Teams extend it by registering their own rules next to the built-in ones.
+ */
 class DisciplinedCodeValidator {
-  constructor() {
-    this.rules = {
-      noDeprecatedAPIs: true,
-      noUnusedVariables: true,
-      noMagicNumbers: true,
-      requireTypeAnnotations: true,
-      noTodoComments: true,
-      strictNaming: true
-    };
+  constructor({ rules = BUILT_IN_RULES } = {}) {
+    this.rules = new Map();
+    rules.forEach(rule => this.registerRule(rule));
 
     this.errors = [];
     this.warnings = [];
   }
 
+  /**
+   * Registers a rule plugin: { id, type, severity, check(source, report) }
+   */
+  registerRule(rule) {
+    if (!rule.id || typeof rule.check !== 'function') {
+      throw new Error('A rule needs an id and a check(source, report) function');
+    }
+    if (this.rules.has(rule.id)) {
+      throw new Error(`Rule '${rule.id}' is already registered`);
+    }
+    this.rules.set(rule.id, rule);
+    return this;
+  }
+
+  /**
+   * Runs every rule and returns raw diagnostics, without promoting warnings or throwing.
+   * A rule may pass data to report() for its fixer, e.g. a replacement text.
+   */
+  collectDiagnostics(code) {
+    const source = analyzeSource(code);
+    const diagnostics = [];
+    for (const rule of this.rules.values()) {
+      rule.check(source, (location, message, data) => {
+        // AST nodes carry 0-based columns in `loc`; plain locations are already 1-based
+        const { line, column, start, end } = location.loc
+          ? { line: location.loc.start.line, column: location.loc.start.column + 1, start: location.start, end: location.end }
+          : location;
+        diagnostics.push({ ruleId: rule.id, type: rule.type, message, line, column, start, end, severity: rule.severity, data });
+      });
+    }
+    return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Like collectDiagnostics, but unparsable code becomes a single blocking 'parse' diagnostic
+   */
+  collectDiagnosticsOrSyntaxError(code) {
+    try {
+      return this.collectDiagnostics(code);
+    } catch (error) {
+      if (!(error instanceof SourceSyntaxError)) throw error;
+      return [syntaxErrorDiagnostic(error)];
+    }
+  }
+
   /**
    * Validates code with disciplined intolerance
    * Warnings are treated as errors (actionable signals that must be addressed)
@@ -38,25 +2236,23 @@ class DisciplinedCodeValidator {
     this.errors = [];
     this.warnings = [];
 
-    // Check for deprecated patterns
-    this.checkDeprecatedAPIs(code);
-
-    // Check for unused variables
-    this.checkUnusedVariables(code);
-
-    // Check for magic numbers
-    this.checkMagicNumbers(code);
-
-    // Check for TODO comments (technical debt)
-    this.checkTodoComments(code);
+    let diagnostics;
+    try {
+      diagnostics = this.collectDiagnostics(code);
+    } catch (error) {
+      if (!(error instanceof SourceSyntaxError)) throw error;
+      // Code that cannot be parsed cannot be verified, so it fails like any other blocking issue
+      this.errors.push(syntaxErrorDiagnostic(error));
+      throw new ValidationError('Code validation failed', this.errors);
+    }
+    diagnostics.forEach(d => (d.severity === 'warning' ? this.warnings : this.errors).push(d));
 
     // Disciplined: Convert all warnings to errors (zero-indifference)
     if (this.warnings.length > 0) {
       this.warnings.forEach(warning => {
         this.errors.push({
-          type: 'ERROR',
+          ...warning,
           message: `Promoted warning to error: ${warning.message}`,
-          line: warning.line,
           severity: 'blocking'
         });
       });
@@ -65,6 +2261,7 @@ class DisciplinedCodeValidator {
 
     // Fail fast if any errors exist
     if (this.errors.length > 0) {
+      this.errors.sort((a, b) => a.line - b.line || a.column - b.column);
       throw new ValidationError('Code validation failed', this.errors);
     }
 
@@ -73,69 +2270,10 @@ class DisciplinedCodeValidator {
       message: 'Code meets all quality standards'
     };
   }
+}
 
-  checkDeprecatedAPIs(code) {
-    const deprecatedPatterns = [
-      { pattern: /var\s+\w+/g, message: 'Use const or let instead of var' },
-      { pattern: /new Date\(\)\.getYear\(\)/g, message: 'getYear() is deprecated, use getFullYear()' },
-      { pattern: /eval\(/g, message: 'eval() is deprecated and dangerous' }
-    ];
-
-    deprecatedPatterns.forEach(({ pattern, message }) => {
-      if (pattern.test(code)) {
-        this.errors.push({
-          type: 'DEPRECATED_API',
-          message,
-          severity: 'blocking'
-        });
-      }
-    });
-  }
-
-  checkUnusedVariables(code) {
-    // Simplified check - in real implementation would use AST parsing
-    const declaredVars = (code.match(/const\s+(\w+)/g) || [])
-      .map(match => match.replace('const ', ''));
-
-    declaredVars.forEach(varName => {
-      // Count occurrences (once for declaration)
-      const occurrences = (code.match(new RegExp(`\\b${varName}\\b`, 'g')) || []).length;
-      if (occurrences === 1) {
-        this.warnings.push({
-          type: 'UNUSED_VARIABLE',
-          message: `Variable '${varName}' is declared but never used`,
-          severity: 'warning'
-        });
-      }
-    });
-  }
-
-  checkMagicNumbers(code) {
-    // Check for hard-coded numbers (except 0, 1, -1)
-    const magicNumberPattern = /(?<!\w)(?<!const\s\w+\s=\s)(?<![01])[2-9]\d+(?!\w)/g;
-    const matches = code.match(magicNumberPattern);
-
-    if (matches && matches.length > 0) {
-      this.warnings.push({
-        type: 'MAGIC_NUMBER',
-        message: `Found ${matches.length} magic number(s). Use named constants instead.`,
-        severity: 'warning'
-      });
-    }
-  }
-
-  checkTodoComments(code) {
-    const todoPattern = /\/\/\s*TODO|\/\*\s*TODO/gi;
-    const matches = code.match(todoPattern);
-
-    if (matches && matches.length > 0) {
-      this.errors.push({
-        type: 'TECHNICAL_DEBT',
-        message: `Found ${matches.length} TODO comment(s). Complete the work or create a ticket.`,
-        severity: 'blocking'
-      });
-    }
-  }
+function syntaxErrorDiagnostic(error) {
+  return { ruleId: 'parse', type: 'SYNTAX_ERROR', message: error.message, line: error.line, column: error.column, severity: 'blocking' };
 }
 
 class ValidationError extends Error {
@@ -147,73 +2285,322 @@ class ValidationError extends Error {
 
   toString() {
     const errorList = this.errors
-      .map((e, i) => `  ${i + 1}. [${e.type}] ${e.message}`)
+      .map((e, i) => `  ${i + 1}. ${e.line}:${e.column} [${e.ruleId}] ${e.message}`)
       .join('\n');
     return `${this.message}:\n${errorList}`;
   }
 }
 
+/**
+ * Aggregate result of a build across all files, exportable for review tooling
+ */
+class BuildReport {
+  constructor(results) {
+    this.files = results;
+    this.summary = {
+      total: results.length,
+      passed: results.filter(r => r.status === 'PASSED').length,
+      failed: results.filter(r => r.status === 'FAILED').length,
+      cached: results.filter(r => r.cached).length
+    };
+  }
+
+  /**
+   * SARIF 2.1.0, understood by code-scanning and review annotation tools
+   */
+  toSarif() {
+    const diagnostics = this.files.flatMap(f => f.diagnostics.map(d => ({ ...d, file: f.file })));
+    const ruleIds = [...new Set(diagnostics.map(d => d.ruleId))];
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'DisciplinedBuildSystem',
+            rules: ruleIds.map(id => ({ id, shortDescription: { text: diagnostics.find(d => d.ruleId === id).type } }))
+          }
+        },
+        results: diagnostics.map(d => ({
+          ruleId: d.ruleId,
+          level: 'error', // Zero-indifference: promoted warnings are errors too
+          message: { text: d.message },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: d.file },
+              region: { startLine: d.line, startColumn: d.column }
+            }
+          }]
+        }))
+      }]
+    };
+  }
+
+  /**
+   * JUnit XML with one test case per file, for CI systems that only read test reports
+   */
+  toJUnitXml() {
+    const escape = value => String(value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const testCases = this.files.map(f => {
+      if (f.status === 'PASSED') return `    <testcase classname="quality" name="${escape(f.file)}"/>`;
+      const details = f.diagnostics.map(d => `${d.line}:${d.column} [${d.ruleId}] ${d.message}`).join('\n');
+      return [
+        `    <testcase classname="quality" name="${escape(f.file)}">`,
+        `      <failure type="ValidationError" message="${f.diagnostics.length} issue(s)">${escape(details)}</failure>`,
+        '    </testcase>'
+      ].join('\n');
+    });
+    const { total, failed } = this.summary;
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites tests="${total}" failures="${failed}">`,
+      `  <testsuite name="DisciplinedBuildSystem" tests="${total}" failures="${failed}">`,
+      ...testCases,
+      '  </testsuite>',
+      '</testsuites>'
+    ].join('\n');
+  }
+}
+
+// A rule's id, version, options and the source of its functions, in declaration order
+const ruleFingerprint = rule =>
+  JSON.stringify(rule, (key, value) => (typeof value === 'function' ? value.toString() : value));
+
+class BuildError extends Error {
+  constructor(message, report) {
+    super(message);
+    this.name = 'BuildError';
+    this.report = report;
+  }
+}
+
 /**
  * Build system that enforces disciplined quality standards
  */
 class DisciplinedBuildSystem {
-  constructor() {
-    this.validator = new DisciplinedCodeValidator();
+  constructor({ validator = new DisciplinedCodeValidator(), cacheFile = null } = {}) {
+    this.validator = validator;
     this.failOnWarnings = true; // Zero-indifference: warnings are actionable
+    // Content-hash cache of validation outcomes, optionally persisted between runs
+    this.cacheFile = cacheFile;
+    this.cache = this.loadCache();
+  }
+
+  /**
+   * A missing or unreadable cache file is a cache miss: every file is re-validated and the file rewritten
+   */
+  loadCache() {
+    if (!this.cacheFile || !fs.existsSync(this.cacheFile)) return new Map();
+    try {
+      return new Map(Object.entries(JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'))));
+    } catch {
+      return new Map();
+    }
   }
 
+  /**
+   * Validates every file (skipping unchanged ones) and fails with the full report,
+   * so one run surfaces every issue instead of only the first broken file
+   */
   build(codeFiles) {
     console.log('Starting build with disciplined quality enforcement...\n');
 
-    const results = [];
+    const report = new BuildReport(codeFiles.map(file => this.validateFile(file)));
+    this.saveCache();
 
-    for (const file of codeFiles) {
-      console.log(`Validating ${file.name}...`);
+    if (report.summary.failed > 0) {
+      const { failed, total } = report.summary;
+      throw new BuildError(`Build failed: ${failed} of ${total} file(s) do not meet quality standards`, report);
+    }
 
-      try {
-        const result = this.validator.validateCode(file.content);
-        results.push({
-          file: file.name,
-          status: 'PASSED',
-          result
-        });
-        console.log(`✓ ${file.name} passed validation\n`);
-      } catch (error) {
-        results.push({
-          file: file.name,
-          status: 'FAILED',
-          error: error.toString()
-        });
-        console.error(`✗ ${file.name} failed validation:`);
-        console.error(error.toString() + '\n');
+    console.log('✓ Build completed successfully - all files meet quality standards');
+    return report;
+  }
 
-        // Fail fast - stop build immediately
-        throw new Error(`Build failed: ${file.name} does not meet quality standards`);
-      }
+  validateFile(file) {
+    const key = this.cacheKey(file.content);
+    const cached = this.cache.get(key);
+    if (cached) {
+      console.log(`${cached.status === 'PASSED' ? '✓' : '✗'} ${file.name} unchanged (cached ${cached.status})\n`);
+      return { file: file.name, ...cached, cached: true };
     }
 
-    console.log('✓ Build completed successfully - all files meet quality standards');
-    return results;
+    console.log(`Validating ${file.name}...`);
+    let outcome;
+    try {
+      this.validator.validateCode(file.content);
+      outcome = { status: 'PASSED', diagnostics: [] };
+      console.log(`✓ ${file.name} passed validation\n`);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      outcome = { status: 'FAILED', diagnostics: error.errors };
+      console.error(`✗ ${file.name} failed validation:`);
+      console.error(error.toString() + '\n');
+    }
+    this.cache.set(key, outcome);
+    return { file: file.name, ...outcome, cached: false };
+  }
+
+  /**
+   * Every active rule is part of the key, options and code included: registering, reconfiguring
+   * or upgrading a rule invalidates earlier results
+   */
+  cacheKey(content) {
+    const hash = crypto.createHash('sha256');
+    for (const rule of this.validator.rules.values()) hash.update(ruleFingerprint(rule)).update('\0');
+    return hash.update(content).digest('hex');
+  }
+
+  saveCache() {
+    if (this.cacheFile) fs.writeFileSync(this.cacheFile, JSON.stringify(Object.fromEntries(this.cache)));
+  }
+
+  /**
+   * Validates every .js file in a directory, then re-validates only files that change.
+   * Returns a function that stops watching.
+   */
+  watch(dirPath, { onReport = report => console.log('Watch report:', report.summary), debounceMs = 50 } = {}) {
+    const results = new Map();
+    const validate = (names) => {
+      for (const name of names) {
+        const filePath = path.join(dirPath, name);
+        if (fs.existsSync(filePath)) {
+          results.set(name, this.validateFile({ name, content: fs.readFileSync(filePath, 'utf8') }));
+        } else {
+          results.delete(name);
+        }
+      }
+      this.saveCache();
+      onReport(new BuildReport([...results.values()]));
+    };
+
+    validate(fs.readdirSync(dirPath).filter(name => name.endsWith('.js')));
+
+    // Editors often emit several events per save; batch them per debounce window
+    const pending = new Set();
+    let timer = null;
+    const watcher = fs.watch(dirPath, (eventType, name) => {
+      if (!name || !name.endsWith('.js')) return;
+      pending.add(name);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const changed = [...pending];
+        pending.clear();
+        validate(changed);
+      }, debounceMs);
+    });
+
+    return () => {
+      clearTimeout(timer);
+      watcher.close();
+    };
   }
 
   /**
    * Automated refactoring to fix deprecated code
-   * Better to fix than to tolerate
+   * Better to fix than to tolerate - but every fix is reviewable: each one comes with a unified diff,
+   * overlapping edits are refused rather than guessed, every edit must leave parsable code, and the
+   * validator re-runs on the result. With dryRun the code is left untouched and only the proposed
+   * diffs are returned. Unparsable input is returned unchanged with a 'parse' diagnostic.
    */
-  autoFix(code) {
-    let fixed = code;
+  autoFix(code, { dryRun = false, fileName = 'input.js' } = {}) {
+    let diagnostics;
+    try {
+      diagnostics = this.validator.collectDiagnostics(code);
+    } catch (error) {
+      if (!(error instanceof SourceSyntaxError)) throw error;
+      const remaining = [syntaxErrorDiagnostic(error)];
+      console.log(`Cannot fix unparsable code: ${error.line}:${error.column} ${error.message}`);
+      return { dryRun, code, fixes: [], conflicts: [], rejected: [], diff: '', remaining, unfixedRules: ['parse'] };
+    }
+    const fixes = [];
+    const conflicts = [];
+    const rejected = [];
 
-    // Replace var with const/let
-    fixed = fixed.replace(/var\s+(\w+)\s*=/g, 'const $1 =');
+    for (const diagnostic of diagnostics) {
+      const rule = this.validator.rules.get(diagnostic.ruleId);
+      const edit = rule.fix ? rule.fix(diagnostic, code) : null;
+      if (edit) fixes.push({ ruleId: diagnostic.ruleId, line: diagnostic.line, column: diagnostic.column, message: diagnostic.message, edit });
+    }
+
+    // Keep the first edit of any overlapping pair; the other is reported for manual review
+    const accepted = [];
+    for (const fix of [...fixes].sort((a, b) => a.edit.start - b.edit.start)) {
+      const previous = accepted[accepted.length - 1];
+      if (previous && fix.edit.start < previous.edit.end) {
+        conflicts.push({ ...fix, conflictsWith: previous.ruleId });
+        continue;
+      }
+      // A fixer that produces unparsable code is a bug in the fixer; keep the code as it was
+      const candidate = applyEdits(code, [...accepted, fix].map(f => f.edit));
+      try {
+        parseSource(candidate);
+      } catch (error) {
+        if (!(error instanceof SourceSyntaxError)) throw error;
+        rejected.push({ ...fix, reason: `fix produces invalid code: ${error.message}` });
+        continue;
+      }
+      accepted.push(fix);
+    }
+    accepted.forEach(fix => {
+      fix.diff = unifiedDiff(code, applyEdits(code, [fix.edit]), fileName);
+    });
 
-    // Replace deprecated getYear with getFullYear
-    fixed = fixed.replace(/\.getYear\(\)/g, '.getFullYear()');
+    const fixed = applyEdits(code, accepted.map(fix => fix.edit));
+    const remaining = this.validator.collectDiagnosticsOrSyntaxError(fixed);
+    console.log(`${dryRun ? 'Proposed' : 'Applied'} ${accepted.length} fix(es), ${conflicts.length} conflict(s), ` +
+      `${rejected.length} rejected, ${remaining.length} issue(s) remaining`);
 
-    console.log('Auto-fixed deprecated patterns');
-    return fixed;
+    return {
+      dryRun,
+      code: dryRun ? code : fixed,
+      fixes: accepted,
+      conflicts,
+      rejected,
+      diff: unifiedDiff(code, fixed, fileName),
+      remaining,
+      unfixedRules: [...new Set(remaining.map(d => d.ruleId))]
+    };
   }
 }
 
+/**
+ * Applies non-overlapping { start, end, text } edits, last first so earlier offsets stay valid
+ */
+function applyEdits(code, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, { start, end, text }) => result.slice(0, start) + text + result.slice(end), code);
+}
+
+/**
+ * Minimal unified diff: one hunk covering everything between the common prefix and suffix lines
+ */
+function unifiedDiff(before, after, fileName, context = 3) {
+  if (before === after) return '';
+  const a = before.split('\n');
+  const b = after.split('\n');
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const start = Math.max(0, prefix - context);
+  const trailing = Math.min(suffix, context);
+  const oldCount = a.length - suffix - start + trailing;
+  const newCount = b.length - suffix - start + trailing;
+  return [
+    `--- a/${fileName}`,
+    `+++ b/${fileName}`,
+    `@@ -${start + 1},${oldCount} +${start + 1},${newCount} @@`,
+    ...a.slice(start, prefix).map(line => ' ' + line),
+    ...a.slice(prefix, a.length - suffix).map(line => '-' + line),
+    ...b.slice(prefix, b.length - suffix).map(line => '+' + line),
+    ...a.slice(a.length - suffix, a.length - suffix + trailing).map(line => ' ' + line)
+  ].join('\n');
+}
+
 // Usage Example
 console.log('=== Virtuous Intolerance Principle - Correct Implementation ===\n');
 
@@ -232,6 +2619,10 @@ function addUser(user) {
 
 const result = addUser({ name: 'Alice' });
 console.log(result);
+
+// Numbers and keywords inside strings (like 404 or var) are not code
+const NOT_FOUND_MESSAGE = 'Error 404: no var or TODO here';
+console.log(NOT_FOUND_MESSAGE);
 `;
 
 // Example 2: Code with quality issues
@@ -260,6 +2651,18 @@ function addUser(user) {
 
 const buildSystem = new DisciplinedBuildSystem();
 
+// Teams register their own rules next to the built-in ones
+buildSystem.validator.registerRule({
+  id: 'no-debugger',
+  type: 'LEFTOVER_DEBUGGING',
+  severity: 'blocking',
+  check(source, report) {
+    source.nodes
+      .filter(node => node.type === 'DebuggerStatement')
+      .forEach(node => report(node, 'Remove debugger statement before committing'));
+  }
+});
+
 try {
   console.log('--- Test 1: Clean code ---');
   buildSystem.build([{ name: 'clean.js', content: cleanCode }]);
@@ -287,12 +2690,80 @@ try {
 }
 
 console.log('--- Test 4: Auto-fixing deprecated code ---');
-const deprecatedCode = 'var x = 10; var y = new Date().getYear();';
-console.log('Before:', deprecatedCode);
-const fixedCode = buildSystem.autoFix(deprecatedCode);
-console.log('After:', fixedCode);
+const deprecatedCode = `function printYear() {
+  var x = 10;
+  var y = new Date().getYear();
+  console.log(x, y);
+
+  // Not block-local: i is read after the loop, so var -> let would break it
+  for (var i = 0; i < x; i++) {}
+  console.log(i);
+}
+printYear();
+`;
+console.log('Before:\n' + deprecatedCode);
+const preview = buildSystem.autoFix(deprecatedCode, { dryRun: true, fileName: 'legacy.js' });
+preview.fixes.forEach(fix => console.log(`[${fix.ruleId}] ${fix.message}\n${fix.diff}\n`));
+const fixResult = buildSystem.autoFix(deprecatedCode, { fileName: 'legacy.js' });
+console.log('After:\n' + fixResult.code);
+console.log('Still needs a human:', fixResult.unfixedRules);
+console.log('Unparsable input is reported, not fixed:', buildSystem.autoFix('var = ;').remaining[0].message);
 console.log('Better to fix issues immediately than to tolerate them.\n');
 
+console.log('--- Test 5: Aggregate and cached multi-file build ---');
+const files = [
+  { name: 'clean.js', content: cleanCode },
+  { name: 'problematic.js', content: problematicCode },
+  { name: 'debt.js', content: codeWithDebt }
+];
+const incrementalBuild = new DisciplinedBuildSystem();
+let lastReport;
+try {
+  incrementalBuild.build(files);
+} catch (error) {
+  lastReport = error.report;
+  console.error(error.message, '\n');
+}
+try {
+  // Nothing changed: every outcome comes from the content-hash cache
+  incrementalBuild.build(files);
+} catch (error) {
+  console.log('Second run summary:', error.report.summary, '\n');
+}
+
+// Reconfiguring a rule changes the key, so results cached under the old options are not reused
+const reconfigured = new DisciplinedBuildSystem({
+  validator: new DisciplinedCodeValidator({
+    rules: BUILT_IN_RULES.map(rule => (rule === noMagicNumbersRule ? { ...rule, ignore: [...rule.ignore, 100] } : rule))
+  })
+});
+console.log('Reconfigured rule misses the cache:', reconfigured.cacheKey(cleanCode) !== incrementalBuild.cacheKey(cleanCode));
+
+// A corrupt cache file is a cache miss, not a crash
+const cacheDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'vip-cache-'));
+const cacheFile = path.join(cacheDir, 'cache.json');
+fs.writeFileSync(cacheFile, '{"truncated');
+new DisciplinedBuildSystem({ cacheFile }).build([{ name: 'clean.js', content: cleanCode }]);
+console.log('Corrupt cache rebuilt:', Object.keys(JSON.parse(fs.readFileSync(cacheFile, 'utf8'))).length, 'entry\n');
+fs.rmSync(cacheDir, { recursive: true, force: true });
+
+console.log('--- Test 6: Exporting the report ---');
+console.log('SARIF results:', lastReport.toSarif().runs[0].results.length);
+console.log(lastReport.toJUnitXml().split('\n').slice(0, 4).join('\n'), '\n  ...\n');
+
+console.log('--- Test 7: Watch mode re-validates only changed files ---');
+const watchDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'vip-watch-'));
+fs.writeFileSync(path.join(watchDir, 'a.js'), cleanCode);
+fs.writeFileSync(path.join(watchDir, 'b.js'), cleanCode.replace('MAX_USERS = 100', 'MAX_USERS = 200'));
+const stopWatching = incrementalBuild.watch(watchDir, {
+  onReport: report => console.log('Watch report:', report.summary, '\n')
+});
+fs.writeFileSync(path.join(watchDir, 'b.js'), codeWithDebt);
+setTimeout(() => {
+  stopWatching();
+  fs.rmSync(watchDir, { recursive: true, force: true });
+}, 500);
+
 /**
  * Benefits of Disciplined Intolerance (Virtuous Intolerance):
  *